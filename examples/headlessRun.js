@@ -0,0 +1,57 @@
+/**
+ * headlessRun.js
+ * Runs the map pipeline under Node with headlessMap: loads markers, applies
+ * a full update and a delta frame, and checks the markers on the map.
+ *
+ * Needs the rbush package (the spatial index of markerIndex.js), declared in
+ * package.json:
+ *   npm install
+ *   node examples/headlessRun.js
+ * (Node 20.19 or later.)
+ */
+
+import assert from 'node:assert/strict';
+import headlessMap from '../modules/headlessMap.js';
+
+const marker = (id, lat, lon, state) => ({ id, lat, lon, var: state, name: `Marker ${id}`, type: 'vessel' });
+
+async function run() {
+  const map = headlessMap.create({ id: 'example', zoom: 5, center: [0, 0] });
+  const markers = () => map.getMarkers().map(m => m.options.markerId).sort();
+
+  try {
+    // Initial load
+    await map.load({ list: [marker('a', 10, 20, 0), marker('b', 11, 21, 1), marker('c', 12, 22, 2)] });
+    assert.deepEqual(markers(), ['a', 'b', 'c']);
+
+    // Full update: 'b' moves, 'c' is gone, 'd' is new
+    await map.update({ list: [marker('a', 10, 20, 0), marker('b', 15, 25, 3), marker('d', 13, 23, 0)] });
+    assert.deepEqual(markers(), ['a', 'b', 'd']);
+    assert.deepEqual(map.managers.markerManager.getMarkerById('b').getLatLng(), { lat: 15, lng: 25 });
+
+    // Delta frame: patch, remove and upsert
+    await map.applyFrame({
+      type: 'delta',
+      seq: 1,
+      ops: [
+        { op: 'patch', id: 'a', fields: { var: 2 } },
+        { op: 'remove', id: 'd' },
+        { op: 'upsert', id: 'e', marker: marker('e', 14, 24, 1) }
+      ]
+    });
+    assert.deepEqual(markers(), ['a', 'b', 'e']);
+    assert.equal(map.managers.markerManager.markers.find(m => m.id === 'a').var, 2);
+
+    // No event failed along the way
+    assert.equal(map.coordinator.errorInfo.code, 0);
+
+    console.log(`[headlessRun] All checks passed (${map.getMarkers().length} markers)`);
+  } finally {
+    map.destroy();
+  }
+}
+
+run().catch(error => {
+  console.error('[headlessRun] Check failed:', error);
+  process.exitCode = 1;
+});
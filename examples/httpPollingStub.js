@@ -0,0 +1,111 @@
+/**
+ * httpPollingStub.js
+ * Runs httpPollingSource against a local stub server and checks its
+ * conditional requests (ETag / 304) and response mapping.
+ *
+ * Run with Node 20.19 or later (ES module syntax is detected):
+ *   node examples/httpPollingStub.js
+ */
+
+import http from 'node:http';
+import assert from 'node:assert/strict';
+import httpPollingSource from '../modules/transports/httpPollingSource.js';
+
+// Data served by the stub; its version is the ETag
+const stub = {
+  version: 1,
+  envelope: false,   // Wrap replies in the dataTracker envelope ({reply: {...}})
+  status: 200,       // Status forced on the next reply
+  requests: [],      // Headers of received requests
+
+  body() {
+    const data = {
+      list: [{ id: 'm1', lat: 10, lon: 20, var: this.version, name: 'Stub marker' }],
+      map_url: 'stub',
+      lat: 0,
+      lon: 0,
+      seq: this.version
+    };
+
+    return this.envelope ? { reply: data } : data;
+  }
+};
+
+const server = http.createServer((req, res) => {
+  stub.requests.push(req.headers);
+
+  if (stub.status !== 200) {
+    res.writeHead(stub.status);
+    res.end();
+    return;
+  }
+
+  const etag = `"v${stub.version}"`;
+
+  if (req.headers['if-none-match'] === etag) {
+    res.writeHead(304, { ETag: etag });
+    res.end();
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json', ETag: etag });
+  res.end(JSON.stringify(stub.body()));
+});
+
+async function run(url) {
+  const source = httpPollingSource.create({ url });
+
+  // First request: full data, no validators sent
+  let data = await source.fetchData();
+  assert.equal(data.list.length, 1);
+  assert.equal(data.seq, 1);
+  assert.equal(stub.requests[0]['if-none-match'], undefined);
+  assert.equal(source.etag, '"v1"');
+
+  // Unchanged: the ETag is sent back and the 304 maps to null
+  data = await source.fetchData();
+  assert.equal(data, null);
+  assert.equal(source.lastStatus, 304);
+  assert.equal(stub.requests[1]['if-none-match'], '"v1"');
+
+  // Changed, in the dataTracker envelope: unwrapped by the default mapping
+  stub.version = 2;
+  stub.envelope = true;
+  data = await source.fetchData();
+  assert.equal(data.seq, 2);
+  assert.equal(data.list[0].var, 2);
+  assert.equal(source.etag, '"v2"');
+
+  // reset() drops the validators, so the next reply is full again
+  source.reset();
+  data = await source.fetchData();
+  assert.notEqual(data, null);
+  assert.equal(stub.requests[3]['if-none-match'], undefined);
+
+  // Custom mapping
+  const mapped = httpPollingSource.create({
+    url,
+    conditional: false,
+    mapResponse: body => ({ list: body.reply.list.map(m => ({ ...m, name: m.name.toUpperCase() })) })
+  });
+  data = await mapped.fetchData();
+  assert.equal(data.list[0].name, 'STUB MARKER');
+
+  // Error statuses are thrown
+  stub.status = 500;
+  await assert.rejects(source.fetchData(), /HTTP 500/);
+}
+
+server.listen(0, '127.0.0.1', async () => {
+  const url = `http://127.0.0.1:${server.address().port}/map`;
+
+  try {
+    await run(url);
+    console.log('[httpPollingStub] All checks passed');
+  } catch (error) {
+    console.error('[httpPollingStub] Check failed:', error);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+});
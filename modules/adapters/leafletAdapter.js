@@ -0,0 +1,159 @@
+/**
+ * leafletAdapter.js
+ * Map adapter for the browser: creates Leaflet markers, layers and icons
+ * and reads icon shapes from the hidden SVG icons in the page
+ */
+
+import L from 'leaflet';
+import CanvasIconLayer from '../../Leaflet.CanvasIcon/CanvasIconLayer.js';
+import iconFactory from '../../utilsMap/iconFactory.js';
+
+const leafletAdapter = {
+  /**
+   * Creates a marker
+   * @param {Array} latLng - Position [lat, lon]
+   * @param {Object} options - Marker options {icon, markerId, ...}
+   * @returns {Object} Leaflet marker
+   */
+  createMarker(latLng, options) {
+    return L.marker(latLng, options);
+  },
+
+  /**
+   * Creates an empty layer group
+   * @returns {Object} Leaflet feature group
+   */
+  createLayer() {
+    return L.featureGroup();
+  },
+
+  /**
+   * Creates a marker cluster group
+   * @param {Object} options - Cluster options (see leaflet.markercluster)
+   * @returns {Object} Leaflet marker cluster group
+   */
+  createClusterGroup(options) {
+    return L.markerClusterGroup(options);
+  },
+
+  /**
+   * Creates the icon of a marker cluster
+   * @param {Number} count - Markers in the cluster
+   * @param {String} color - Cluster color
+   * @param {Array} breakdown - Parts of the cluster [{count, color}]
+   * @returns {Object} Leaflet divIcon (see iconFactory.createClusterIcon)
+   */
+  createClusterIcon(count, color, breakdown) {
+    return iconFactory.createClusterIcon(count, color, { breakdown });
+  },
+
+  /**
+   * Creates a line
+   * @param {Array} latLngs - Positions [[lat, lon], ...]
+   * @param {Object} options - Path options {color, weight, opacity, ...}
+   * @returns {Object} Leaflet polyline
+   */
+  createPolyline(latLngs, options) {
+    return L.polyline(latLngs, options);
+  },
+
+  /**
+   * Creates a layer that draws marker icons on a canvas instead of the DOM
+   * @returns {Object} CanvasIconLayer
+   */
+  createCanvasLayer() {
+    return new CanvasIconLayer({});
+  },
+
+  /**
+   * Adds markers to a canvas layer (the layer must be on the map)
+   * @param {Object} layer - Canvas layer
+   * @param {Array} markers - Markers with image icons
+   */
+  addToCanvasLayer(layer, markers) {
+    // The layer's indexes are created by its first marker
+    if (markers.length > 0) {
+      layer.addMarkers(markers);
+    }
+  },
+
+  /**
+   * Removes a marker from a canvas layer without redrawing it
+   * @param {Object} layer - Canvas layer
+   * @param {Object} marker - Marker
+   */
+  removeFromCanvasLayer(layer, marker) {
+    layer.removeMarker(marker, false);
+  },
+
+  /**
+   * Redraws a canvas layer
+   * @param {Object} layer - Canvas layer
+   */
+  redrawCanvasLayer(layer) {
+    // The layer's index only exists once markers were added
+    if (layer._map && layer._latlngMarkers) {
+      layer.redraw();
+    }
+  },
+
+  /**
+   * Changes the icon of a marker drawn on a canvas layer. setIcon would
+   * create a DOM icon, as the layer gives its markers a map reference.
+   * @param {Object} marker - Marker
+   * @param {Object} icon - Image icon
+   */
+  setCanvasIcon(marker, icon) {
+    marker.options.icon = icon;
+    // Drawn image is cached on the marker
+    marker.canvas_img = null;
+  },
+
+  /**
+   * Creates an HTML icon
+   * @param {Object} options - Icon options {className, html, iconSize, iconAnchor, popupAnchor}
+   * @returns {Object} Leaflet divIcon
+   */
+  createIcon(options) {
+    return L.divIcon(options);
+  },
+
+  /**
+   * Creates an image icon (used on canvas layers)
+   * @param {Object} options - Icon options {iconUrl, iconSize, iconAnchor, popupAnchor}
+   * @returns {Object} Leaflet icon
+   */
+  createImageIcon(options) {
+    return L.icon(options);
+  },
+
+  /**
+   * Gets the shape of a marker icon from the hidden icons in the page
+   * @param {Number} iconNumber - Icon number
+   * @returns {Object|null} Shape {viewBox, path} or null if the icon is not found
+   */
+  getIconShape(iconNumber) {
+    const iconElement = document.getElementById('icon_' + iconNumber);
+
+    if (!iconElement) {
+      return null;
+    }
+
+    const pathElement = iconElement.querySelector('path');
+
+    return {
+      viewBox: iconElement.getAttribute('viewBox') || '0 0 24 24',
+      path: pathElement ? pathElement.getAttribute('d') : ''
+    };
+  },
+
+  /**
+   * Gets the origin used for absolute links in popups
+   * @returns {String} Page origin
+   */
+  getOrigin() {
+    return document.location.origin;
+  }
+};
+
+export default leafletAdapter;
@@ -0,0 +1,356 @@
+/**
+ * memoryAdapter.js
+ * In-memory map adapter: plain objects that behave like the Leaflet map,
+ * layers and markers used by the managers, so the update pipeline can run
+ * under Node without a DOM
+ */
+
+// Event handling shared by the in-memory map, layers and markers
+const evented = {
+  /**
+   * Adds an event listener
+   * @param {String} type - Event type
+   * @param {Function} listener - Listener
+   * @returns {Object} This object
+   */
+  on(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+    return this;
+  },
+
+  /**
+   * Removes an event listener
+   * @param {String} type - Event type
+   * @param {Function} listener - Listener
+   * @returns {Object} This object
+   */
+  off(type, listener) {
+    if (this.listeners[type]) {
+      this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+    }
+    return this;
+  },
+
+  /**
+   * Calls the listeners of an event
+   * @param {String} type - Event type
+   * @param {Object} data - Event data (optional)
+   * @returns {Object} This object
+   */
+  fire(type, data = {}) {
+    (this.listeners[type] || []).slice().forEach(listener => listener({ type, target: this, ...data }));
+    return this;
+  }
+};
+
+// Marker with the subset of the Leaflet marker API used by markerManager
+const memoryMarker = {
+  ...evented,
+
+  getLatLng() {
+    return { lat: this.latLng[0], lng: this.latLng[1] };
+  },
+
+  setLatLng(latLng) {
+    this.latLng = [latLng[0], latLng[1]];
+    return this;
+  },
+
+  setIcon(icon) {
+    this.options.icon = icon;
+    return this;
+  },
+
+  setOpacity(opacity) {
+    this.options.opacity = opacity;
+    return this;
+  },
+
+  bindPopup(content) {
+    this.popup = { content, open: false };
+    return this;
+  },
+
+  unbindPopup() {
+    this.popup = null;
+    return this;
+  },
+
+  setPopupContent(content) {
+    if (this.popup) {
+      this.popup.content = content;
+    }
+    return this;
+  },
+
+  isPopupOpen() {
+    return !!this.popup && this.popup.open;
+  },
+
+  openPopup() {
+    if (this.popup) {
+      this.popup.open = true;
+      this.fire('popupopen', { popup: this.popup });
+    }
+    return this;
+  },
+
+  closePopup() {
+    if (this.popup && this.popup.open) {
+      this.popup.open = false;
+      this.fire('popupclose', { popup: this.popup });
+    }
+    return this;
+  },
+
+  bindTooltip(content, options = {}) {
+    this.tooltip = {
+      options,
+      open: !!options.permanent,
+      getContent: () => content
+    };
+    return this;
+  },
+
+  unbindTooltip() {
+    this.tooltip = null;
+    return this;
+  },
+
+  getTooltip() {
+    return this.tooltip;
+  },
+
+  openTooltip() {
+    if (this.tooltip) {
+      this.tooltip.open = true;
+    }
+    return this;
+  },
+
+  closeTooltip() {
+    if (this.tooltip) {
+      this.tooltip.open = false;
+    }
+    return this;
+  }
+};
+
+// Layer group (also used for cluster groups, which aren't clustered in memory)
+const memoryLayer = {
+  ...evented,
+
+  addLayer(layer) {
+    this.layers.add(layer);
+    return this;
+  },
+
+  removeLayer(layer) {
+    this.layers.delete(layer);
+    return this;
+  },
+
+  hasLayer(layer) {
+    return this.layers.has(layer);
+  },
+
+  clearLayers() {
+    this.layers.clear();
+    return this;
+  },
+
+  getLayers() {
+    return [...this.layers];
+  },
+
+  eachLayer(fn) {
+    this.getLayers().forEach(fn);
+    return this;
+  }
+};
+
+// Map holding layers and a view, firing the events userInteractionManager listens to
+const memoryMap = {
+  ...memoryLayer,
+
+  getZoom() {
+    return this.zoom;
+  },
+
+  setZoom(zoom) {
+    if (zoom !== this.zoom) {
+      this.fire('zoomstart');
+      this.zoom = zoom;
+      this.fire('zoomend');
+    }
+    return this;
+  },
+
+  getCenter() {
+    return { lat: this.center[0], lng: this.center[1] };
+  },
+
+  setView(center, zoom = this.zoom) {
+    this.center = [center[0], center[1]];
+    return this.setZoom(zoom);
+  }
+};
+
+const memoryAdapter = {
+  // Icon shapes {viewBox, path} by icon number; markers without one get a circle
+  iconShapes: {},
+
+  /**
+   * Creates an in-memory map
+   * @param {Object} options - View {zoom, center}
+   * @returns {Object} Map
+   */
+  createMap(options = {}) {
+    return Object.assign(Object.create(memoryMap), {
+      listeners: {},
+      layers: new Set(),
+      zoom: options.zoom !== undefined ? options.zoom : 5,
+      center: options.center || [0, 0]
+    });
+  },
+
+  /**
+   * Creates a marker
+   * @param {Array} latLng - Position [lat, lon]
+   * @param {Object} options - Marker options {icon, markerId, ...}
+   * @returns {Object} Marker
+   */
+  createMarker(latLng, options = {}) {
+    return Object.assign(Object.create(memoryMarker), {
+      listeners: {},
+      latLng: [latLng[0], latLng[1]],
+      options: { ...options },
+      popup: null,
+      tooltip: null
+    });
+  },
+
+  /**
+   * Creates an empty layer group
+   * @returns {Object} Layer
+   */
+  createLayer() {
+    return Object.assign(Object.create(memoryLayer), {
+      listeners: {},
+      layers: new Set()
+    });
+  },
+
+  /**
+   * Creates a cluster group (markers are kept as a flat layer)
+   * @param {Object} options - Cluster options
+   * @returns {Object} Layer
+   */
+  createClusterGroup(options = {}) {
+    return Object.assign(this.createLayer(), { options: { ...options } });
+  },
+
+  /**
+   * Creates the icon of a marker cluster
+   * @param {Number} count - Markers in the cluster
+   * @param {String} color - Cluster color
+   * @param {Array} breakdown - Parts of the cluster [{count, color}]
+   * @returns {Object} Icon {options}
+   */
+  createClusterIcon(count, color, breakdown) {
+    return { options: { count, color, breakdown } };
+  },
+
+  /**
+   * Creates a line
+   * @param {Array} latLngs - Positions [[lat, lon], ...]
+   * @param {Object} options - Path options {color, weight, opacity, ...}
+   * @returns {Object} Line {latLngs, options}
+   */
+  createPolyline(latLngs, options = {}) {
+    return {
+      latLngs: latLngs.map(latLng => [latLng[0], latLng[1]]),
+      options: { ...options }
+    };
+  },
+
+  /**
+   * Creates a canvas layer (a flat layer counting its redraws)
+   * @returns {Object} Layer
+   */
+  createCanvasLayer() {
+    return Object.assign(this.createLayer(), { redraws: 0 });
+  },
+
+  /**
+   * Adds markers to a canvas layer
+   * @param {Object} layer - Canvas layer
+   * @param {Array} markers - Markers
+   */
+  addToCanvasLayer(layer, markers) {
+    markers.forEach(marker => layer.addLayer(marker));
+  },
+
+  /**
+   * Removes a marker from a canvas layer
+   * @param {Object} layer - Canvas layer
+   * @param {Object} marker - Marker
+   */
+  removeFromCanvasLayer(layer, marker) {
+    layer.removeLayer(marker);
+  },
+
+  /**
+   * Redraws a canvas layer
+   * @param {Object} layer - Canvas layer
+   */
+  redrawCanvasLayer(layer) {
+    layer.redraws++;
+  },
+
+  /**
+   * Changes the icon of a marker drawn on a canvas layer
+   * @param {Object} marker - Marker
+   * @param {Object} icon - Image icon
+   */
+  setCanvasIcon(marker, icon) {
+    marker.setIcon(icon);
+  },
+
+  /**
+   * Creates an icon
+   * @param {Object} options - Icon options {className, html, iconSize, iconAnchor, popupAnchor}
+   * @returns {Object} Icon {options}
+   */
+  createIcon(options) {
+    return { options: { ...options } };
+  },
+
+  /**
+   * Creates an image icon
+   * @param {Object} options - Icon options {iconUrl, iconSize, iconAnchor, popupAnchor}
+   * @returns {Object} Icon {options}
+   */
+  createImageIcon(options) {
+    return { options: { ...options } };
+  },
+
+  /**
+   * Gets the shape of a marker icon
+   * @param {Number} iconNumber - Icon number
+   * @returns {Object|null} Shape {viewBox, path} or null if not configured
+   */
+  getIconShape(iconNumber) {
+    return this.iconShapes[iconNumber] || null;
+  },
+
+  /**
+   * Gets the origin used for absolute links in popups
+   * @returns {String} Empty string (links stay relative)
+   */
+  getOrigin() {
+    return '';
+  }
+};
+
+export default memoryAdapter;
@@ -0,0 +1,274 @@
+/**
+ * eventQueue.js
+ * Priority queue of pending map events. Events run highest priority first
+ * and in arrival order within a priority; repeated events of some types are
+ * coalesced so only the latest one is kept
+ */
+
+const eventQueue = {
+  // Priorities from highest to lowest
+  priorities: ['critical', 'high', 'normal', 'low'],
+
+  /**
+   * Creates an empty queue
+   * @param {Object} coalesceRules - Coalescing rules by event type, kept up to date by
+   *   the map's event registry (see eventRegistry.js). 'latest' keeps only the newest
+   *   queued event; a function combines the data of an older and a newer event and
+   *   returns undefined when the two can't be combined
+   * @returns {Object} Queue state
+   */
+  createQueue(coalesceRules = {}) {
+    const buckets = {};
+    this.priorities.forEach(priority => {
+      buckets[priority] = [];
+    });
+
+    return {
+      coalesceRules,           // Coalescing rules by event type
+      buckets,                 // Events by priority, oldest first
+      size: 0,                 // Total queued events
+      nextSeq: 0,              // Insertion counter
+      metrics: {
+        maxDepth: 0,           // Highest depth reached
+        enqueued: 0,           // Events added
+        dequeued: 0,           // Events taken to run
+        coalesced: 0,          // Events merged into a queued one
+        removed: 0             // Events discarded with remove()
+      }
+    };
+  },
+
+  /**
+   * Adds an event at the end of its priority, coalescing it with a queued
+   * event of the same type when a rule allows it
+   * @param {Object} queue - Queue state
+   * @param {Object} event - Event {id, type, data, priority, timestamp}
+   * @param {Object} coordinator - Coordinator state (passed to coalescing rules)
+   * @returns {Object|null} Queued event replaced by the new one, or null
+   */
+  enqueue(queue, event, coordinator) {
+    const queued = this.findQueued(queue, event.type);
+    let replaced = null;
+
+    if (queued) {
+      const data = this.combine(queue, queued.event.data, event.data, event.type, coordinator);
+
+      if (data !== undefined) {
+        // The newer event replaces the queued one, keeping the higher of both priorities
+        this.removeAt(queue, queued.priority, queued.index);
+        queue.metrics.coalesced++;
+        replaced = queued.event;
+        event = {
+          ...event,
+          data,
+          priority: this.higherPriority(queued.event.priority, event.priority)
+        };
+      }
+    }
+
+    this.insert(queue, event, false);
+    queue.metrics.enqueued++;
+
+    return replaced;
+  },
+
+  /**
+   * Puts an interrupted event back at the front of its priority so it
+   * resumes before other events of that priority
+   * @param {Object} queue - Queue state
+   * @param {Object} event - Event {id, type, data, priority, timestamp}
+   * @param {Object} coordinator - Coordinator state (passed to coalescing rules)
+   * @returns {Object|null} Queued event the interrupted one was folded into, or null
+   */
+  requeue(queue, event, coordinator) {
+    const queued = this.findQueued(queue, event.type);
+
+    if (queued) {
+      const data = this.combine(queue, event.data, queued.event.data, event.type, coordinator);
+
+      if (data !== undefined) {
+        // A newer event of the same type is already waiting: fold the interrupted one into it
+        queued.event.data = this.freezeData(data);
+        queue.metrics.coalesced++;
+        return queued.event;
+      }
+    }
+
+    this.insert(queue, event, true);
+
+    return null;
+  },
+
+  /**
+   * Takes the next event to run
+   * @param {Object} queue - Queue state
+   * @returns {Object|null} Highest priority, oldest event or null if empty
+   */
+  dequeue(queue) {
+    for (const priority of this.priorities) {
+      if (queue.buckets[priority].length > 0) {
+        queue.size--;
+        queue.metrics.dequeued++;
+        return queue.buckets[priority].shift();
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Removes all queued events matching a predicate
+   * @param {Object} queue - Queue state
+   * @param {Function} predicate - Returns true for events to remove
+   * @returns {Number} Number of removed events
+   */
+  remove(queue, predicate) {
+    let removed = 0;
+
+    this.priorities.forEach(priority => {
+      const kept = queue.buckets[priority].filter(event => !predicate(event));
+      removed += queue.buckets[priority].length - kept.length;
+      queue.buckets[priority] = kept;
+    });
+
+    queue.size -= removed;
+    queue.metrics.removed += removed;
+
+    return removed;
+  },
+
+  /**
+   * Gets queue depth metrics
+   * @param {Object} queue - Queue state
+   * @returns {Object} Metrics {depth, byPriority, maxDepth, enqueued, dequeued, coalesced, removed}
+   */
+  getMetrics(queue) {
+    const byPriority = {};
+    this.priorities.forEach(priority => {
+      byPriority[priority] = queue.buckets[priority].length;
+    });
+
+    return {
+      depth: queue.size,
+      byPriority,
+      ...queue.metrics
+    };
+  },
+
+  /**
+   * Finds the queued event of a coalescable type
+   * @param {Object} queue - Queue state
+   * @param {String} eventType - Event type
+   * @returns {Object|null} Match {event, priority, index} or null
+   */
+  findQueued(queue, eventType) {
+    if (!queue.coalesceRules[eventType]) {
+      return null;
+    }
+
+    // Events that couldn't be combined may leave several of a type; the last inserted is the candidate
+    let match = null;
+    this.priorities.forEach(priority => {
+      queue.buckets[priority].forEach((event, index) => {
+        if (event.type === eventType && (!match || event.seq > match.event.seq)) {
+          match = { event, priority, index };
+        }
+      });
+    });
+
+    return match;
+  },
+
+  /**
+   * Checks if a newer event makes an older one pointless to run
+   * @param {Object} queue - Queue state
+   * @param {String} newerType - Type of the newer event
+   * @param {String} olderType - Type of the older event
+   * @returns {Boolean} True if only the newer event needs to run
+   */
+  supersedes(queue, newerType, olderType) {
+    return newerType === olderType && queue.coalesceRules[newerType] === 'latest';
+  },
+
+  /**
+   * Combines the data of two events of the same type
+   * @param {Object} queue - Queue state
+   * @param {*} olderData - Data of the older event
+   * @param {*} newerData - Data of the newer event
+   * @param {String} eventType - Event type
+   * @param {Object} coordinator - Coordinator state
+   * @returns {*} Combined data, or undefined if the events can't be combined
+   */
+  combine(queue, olderData, newerData, eventType, coordinator) {
+    const rule = queue.coalesceRules[eventType];
+
+    if (rule === 'latest') {
+      return newerData;
+    }
+
+    return typeof rule === 'function' ? rule(olderData, newerData, coordinator) : undefined;
+  },
+
+  /**
+   * Freezes event data so Vue doesn't observe it: the queue lives in the
+   * coordinator, which is component data, and frames can hold thousands of markers
+   * @param {*} data - Event data
+   * @returns {*} Frozen shallow copy of objects (nested values are left as they are), other data as is
+   */
+  freezeData(data) {
+    if (!data || typeof data !== 'object' || Object.isFrozen(data)) {
+      return data;
+    }
+
+    return Object.freeze(Array.isArray(data) ? data.slice() : { ...data });
+  },
+
+  /**
+   * Inserts an event into its priority bucket
+   * @param {Object} queue - Queue state
+   * @param {Object} event - Event to insert
+   * @param {Boolean} atFront - Insert before other events of the same priority
+   */
+  insert(queue, event, atFront) {
+    const priority = queue.buckets[event.priority] ? event.priority : 'normal';
+    const stored = { ...event, data: this.freezeData(event.data), priority, seq: queue.nextSeq++ };
+
+    if (atFront) {
+      queue.buckets[priority].unshift(stored);
+    } else {
+      queue.buckets[priority].push(stored);
+    }
+
+    queue.size++;
+    queue.metrics.maxDepth = Math.max(queue.metrics.maxDepth, queue.size);
+  },
+
+  /**
+   * Removes the event at a position
+   * @param {Object} queue - Queue state
+   * @param {String} priority - Priority bucket
+   * @param {Number} index - Index in the bucket
+   */
+  removeAt(queue, priority, index) {
+    queue.buckets[priority].splice(index, 1);
+    queue.size--;
+  },
+
+  /**
+   * Gets the higher of two priorities
+   * @param {String} a - Priority
+   * @param {String} b - Priority
+   * @returns {String} Higher priority
+   */
+  higherPriority(a, b) {
+    const indexA = this.priorities.indexOf(a);
+    const indexB = this.priorities.indexOf(b);
+
+    if (indexA === -1) return b;
+    if (indexB === -1) return a;
+
+    return indexA <= indexB ? a : b;
+  }
+};
+
+export default eventQueue;
@@ -0,0 +1,244 @@
+/**
+ * eventRegistry.js
+ * Registry of the event types mapCoordinator can run, with their handlers,
+ * interruptibility, default priority and coalescing rule. The module holds
+ * the built-in types; each coordinator gets its own copy (see create), so
+ * types registered for one map don't change the others.
+ */
+
+import eventQueue from './eventQueue.js';
+
+const eventRegistry = {
+  // Registered definitions by event type
+  types: {},
+
+  // Coalescing rules by event type, read by the event queue (see eventQueue.js)
+  coalesceRules: {},
+
+  /**
+   * Creates a registry for one map, starting with the built-in types
+   * @returns {Object} New event registry instance
+   */
+  create() {
+    return Object.assign(Object.create(eventRegistry), {
+      types: { ...eventRegistry.types },
+      coalesceRules: { ...eventRegistry.coalesceRules }
+    });
+  },
+
+  /**
+   * Registers an event type, replacing any previous definition
+   * @param {String} eventType - Event type
+   * @param {Object} definition - Event definition
+   * @param {Function} definition.handler - Runs the event: (coordinator, data, signal) => Promise
+   * @param {String} definition.action - Action name shown in currentEvent.action (default: event type)
+   * @param {Boolean} definition.interruptible - If other events may interrupt it (default true)
+   * @param {String} definition.priority - Default priority ('critical', 'high', 'normal', 'low')
+   * @param {String|Function} definition.coalesce - 'latest' or (olderData, newerData, coordinator) => data (see eventQueue.js)
+   * @param {Object} definition.retry - Retry policy {attempts, delay, backoff} (default: no retries)
+   * @param {Array} definition.resolves - Other event types whose errors are cleared when this one succeeds
+   *   (not when its handler resolves with false, meaning it ran but changed nothing)
+   */
+  register(eventType, definition = {}) {
+    if (!eventType || typeof eventType !== 'string') {
+      throw new Error('[EventRegistry] An event type name is required');
+    }
+
+    if (typeof definition.handler !== 'function') {
+      throw new Error(`[EventRegistry] Event type ${eventType} needs a handler function`);
+    }
+
+    if (definition.priority && !eventQueue.priorities.includes(definition.priority)) {
+      throw new Error(`[EventRegistry] Unknown priority for ${eventType}: ${definition.priority}`);
+    }
+
+    this.types[eventType] = {
+      handler: definition.handler,
+      action: definition.action || eventType,
+      interruptible: definition.interruptible !== false,
+      priority: definition.priority || 'normal',
+      retry: definition.retry ? {
+        attempts: definition.retry.attempts || 0, // Retries after the first failure
+        delay: definition.retry.delay || 1000,    // ms before the first retry
+        backoff: definition.retry.backoff || 2    // Delay multiplier for each further retry
+      } : null,
+      resolves: definition.resolves || []
+    };
+
+    // The queue applies coalescing rules by event type
+    if (definition.coalesce) {
+      this.coalesceRules[eventType] = definition.coalesce;
+    } else {
+      delete this.coalesceRules[eventType];
+    }
+  },
+
+  /**
+   * Removes an event type
+   * @param {String} eventType - Event type
+   */
+  unregister(eventType) {
+    delete this.types[eventType];
+    delete this.coalesceRules[eventType];
+  },
+
+  /**
+   * Gets the definition of an event type
+   * @param {String} eventType - Event type
+   * @returns {Object|null} Definition {handler, action, interruptible, priority, retry, resolves} or null if unknown
+   */
+  get(eventType) {
+    return this.types[eventType] || null;
+  },
+
+  /**
+   * Gets the names of all registered event types
+   * @returns {Array} Event types
+   */
+  list() {
+    return Object.keys(this.types);
+  }
+};
+
+// ==== Built-in event types ====
+
+// Delegates user interactions to userInteractionManager
+const handleInteraction = eventType => (coordinator, data, signal) =>
+  coordinator.managers.userInteractionManager.handleMapInteraction(coordinator, eventType, data, signal);
+
+eventRegistry.register('data_update', {
+  action: 'updateMap',
+  coalesce: 'latest',
+  retry: { attempts: 2, delay: 1000 },
+  resolves: ['process_markers', 'realtime_update'],
+  handler: (coordinator, data, signal) =>
+    coordinator.managers.markerManager.updateMarkersFromData(coordinator, data.data, signal)
+});
+
+eventRegistry.register('process_markers', {
+  action: 'processMarkers',
+  retry: { attempts: 2, delay: 1000 },
+  resolves: ['data_update', 'realtime_update'],
+  handler: (coordinator, data, signal) =>
+    coordinator.managers.markerManager.processMarkers(coordinator, data.markers, signal)
+});
+
+eventRegistry.register('update_icon_sizes', {
+  action: 'updateIconSizes',
+  coalesce: 'latest',
+  retry: { attempts: 1, delay: 500 },
+  handler: (coordinator, data, signal) =>
+    coordinator.managers.userInteractionManager.applyIconSizeUpdate(coordinator, data.iconSizes, signal)
+});
+
+eventRegistry.register('update_tooltip_state', {
+  action: 'updateTooltipState',
+  coalesce: 'latest',
+  retry: { attempts: 1, delay: 500 },
+  handler: (coordinator, data, signal) =>
+    coordinator.managers.markerManager.updateTooltipState(coordinator, data.enabled, signal)
+});
+
+eventRegistry.register('toggle_trails', {
+  action: 'setTrailsEnabled',
+  coalesce: 'latest',
+  handler: (coordinator, data) =>
+    coordinator.managers.markerManager.setTrailsEnabled(coordinator, data.enabled)
+});
+
+eventRegistry.register('toggle_marker_trail', {
+  action: 'toggleMarkerTrail',
+  handler: (coordinator, data) =>
+    coordinator.managers.markerManager.toggleMarkerTrail(coordinator, data.markerId, data.enabled)
+});
+
+eventRegistry.register('set_marker_filter', {
+  action: 'setMarkerFilter',
+  coalesce: 'latest',
+  handler: (coordinator, data) =>
+    coordinator.managers.markerManager.setMarkerFilter(coordinator, data.filter)
+});
+
+eventRegistry.register('set_filter_by_bounds', {
+  action: 'setFilterByBounds',
+  coalesce: 'latest',
+  handler: (coordinator, data, signal) =>
+    coordinator.managers.markerManager.setFilterByBounds(coordinator, data.enabled, signal)
+});
+
+eventRegistry.register('update_marker_mode', {
+  action: 'updateMarkerMode',
+  priority: 'critical',
+  coalesce: 'latest',
+  retry: { attempts: 2, delay: 500 },
+  handler: (coordinator, data, signal) =>
+    coordinator.managers.markerManager.updateMarkerMode(coordinator, data.mode, signal)
+});
+
+eventRegistry.register('user_zoom_change', {
+  action: 'handleZoomChange',
+  priority: 'high',
+  coalesce: 'latest',
+  handler: handleInteraction('user_zoom_change')
+});
+
+eventRegistry.register('user_bounds_change', {
+  action: 'handleBoundsChange',
+  priority: 'high',
+  coalesce: 'latest',
+  handler: handleInteraction('user_bounds_change')
+});
+
+eventRegistry.register('user_center_change', {
+  action: 'handleCenterChange',
+  coalesce: 'latest',
+  handler: handleInteraction('user_center_change')
+});
+
+// Clicks keep the 'normal' default, so they don't interrupt running marker
+// work unless the caller asks for a higher priority
+eventRegistry.register('marker_click', {
+  action: 'handleMarkerClick',
+  handler: handleInteraction('marker_click')
+});
+
+eventRegistry.register('marker_hover', {
+  action: 'handleMarkerHover',
+  handler: handleInteraction('marker_hover')
+});
+
+eventRegistry.register('map_click', {
+  action: 'handleMapClick',
+  handler: handleInteraction('map_click')
+});
+
+eventRegistry.register('select_marker', {
+  action: 'handleMarkerSelect',
+  coalesce: 'latest',
+  handler: handleInteraction('select_marker')
+});
+
+// Recorded frames are applied through the queue so they don't race with other map events
+eventRegistry.register('replay_frame', {
+  action: 'applyReplayFrame',
+  handler: (coordinator, data, signal) =>
+    coordinator.managers.replayManager.applyEntry(coordinator, data, signal)
+});
+
+eventRegistry.register('realtime_update', {
+  action: 'handleRealtimeUpdate',
+  // Retries are handled by realtimeManager's backoff. Failed, unchanged (304)
+  // and buffered polls resolve with false, so only applied frames clear these.
+  resolves: ['data_update', 'process_markers'],
+  // Deltas can't be dropped, so frames are merged. Polling ticks (no data) are kept apart.
+  coalesce: (olderData, newerData, coordinator) => {
+    if (!olderData || !newerData) {
+      return undefined;
+    }
+    return coordinator.managers.realtimeManager.coalesceFrames(olderData, newerData);
+  },
+  handler: (coordinator, data, signal) =>
+    coordinator.managers.realtimeManager.performUpdate(coordinator, data, signal)
+});
+
+export default eventRegistry;
@@ -0,0 +1,155 @@
+/**
+ * eventTracer.js
+ * Opt-in tracing of coordinator events: records when each event was queued,
+ * started, interrupted and finished, for the timeline panel and bug reports
+ */
+
+const eventTracer = {
+  /**
+   * Creates an empty trace
+   * @returns {Object} Trace state
+   */
+  createTrace() {
+    return {
+      enabled: false,        // Events are only recorded while enabled
+      maxEntries: 300,       // Oldest entries are dropped above this count
+      entries: []            // Traced events, oldest first
+    };
+  },
+
+  /**
+   * Records a step in the life of an event
+   * @param {Object} trace - Trace state
+   * @param {Object} event - Event {id, type, priority}
+   * @param {String} phase - 'enqueued', 'started', 'interrupted', 'completed', 'error', 'coalesced', 'superseded' or 'removed'
+   * @param {Error} error - Error for the 'error' phase
+   */
+  record(trace, event, phase, error = null) {
+    if (!trace.enabled || !event || event.id === undefined || event.id === null) {
+      return;
+    }
+
+    const now = Date.now();
+    let entry = this.findEntry(trace, event.id);
+
+    if (!entry) {
+      entry = {
+        id: event.id,
+        type: event.type,
+        priority: event.priority,
+        status: 'queued',
+        enqueuedAt: now,     // Queued (or started right away)
+        startedAt: null,     // First start
+        endedAt: null,       // Completed, failed or discarded
+        duration: null,      // ms from first start to end
+        interruptions: 0,
+        runs: [],            // Each start {start, end, outcome}
+        error: null
+      };
+      trace.entries.push(entry);
+
+      if (trace.entries.length > trace.maxEntries) {
+        trace.entries.splice(0, trace.entries.length - trace.maxEntries);
+      }
+    }
+
+    // An error is final; the completion that follows it is not recorded
+    if (entry.status === 'error') {
+      return;
+    }
+
+    switch (phase) {
+      case 'enqueued':
+        break;
+
+      case 'started':
+        entry.status = 'running';
+        entry.priority = event.priority;
+        entry.startedAt = entry.startedAt || now;
+        entry.runs.push({ start: now, end: null, outcome: null });
+        break;
+
+      case 'interrupted':
+        entry.status = 'interrupted';
+        entry.interruptions++;
+        this.closeRun(entry, now, phase);
+        break;
+
+      case 'error':
+        entry.error = error && error.message ? error.message : String(error);
+        this.finish(entry, now, phase);
+        break;
+
+      default:
+        // completed, coalesced, superseded, removed
+        this.finish(entry, now, phase);
+    }
+  },
+
+  /**
+   * Marks an entry as finished
+   * @param {Object} entry - Trace entry
+   * @param {Number} time - End time
+   * @param {String} status - Final status
+   */
+  finish(entry, time, status) {
+    this.closeRun(entry, time, status);
+    entry.status = status;
+    entry.endedAt = time;
+    entry.duration = entry.startedAt ? time - entry.startedAt : null;
+  },
+
+  /**
+   * Closes the open run of an entry, if any
+   * @param {Object} entry - Trace entry
+   * @param {Number} time - End time
+   * @param {String} outcome - Why the run ended
+   */
+  closeRun(entry, time, outcome) {
+    const run = entry.runs[entry.runs.length - 1];
+
+    if (run && run.end === null) {
+      run.end = time;
+      run.outcome = outcome;
+    }
+  },
+
+  /**
+   * Finds the entry of an event (recent events are searched first)
+   * @param {Object} trace - Trace state
+   * @param {Number} id - Event id
+   * @returns {Object|null} Entry or null if not traced
+   */
+  findEntry(trace, id) {
+    for (let i = trace.entries.length - 1; i >= 0; i--) {
+      if (trace.entries[i].id === id) {
+        return trace.entries[i];
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Serializes the trace for bug reports
+   * @param {Object} trace - Trace state
+   * @returns {String} JSON document {exportedAt, userAgent, entries}
+   */
+  exportJson(trace) {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+      entries: trace.entries
+    }, null, 2);
+  },
+
+  /**
+   * Removes all entries
+   * @param {Object} trace - Trace state
+   */
+  clear(trace) {
+    trace.entries = [];
+  }
+};
+
+export default eventTracer;
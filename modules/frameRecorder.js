@@ -0,0 +1,216 @@
+/**
+ * frameRecorder.js
+ * Stores applied real-time frames in a bounded local store (IndexedDB,
+ * with an in-memory fallback) so they can be replayed later
+ */
+
+const frameRecorder = {
+  /**
+   * Creates an isolated frame recorder for one map
+   * @returns {Object} New frame recorder instance
+   */
+  create() {
+    return Object.assign(Object.create(frameRecorder), {
+      memoryFrames: []
+    });
+  },
+
+  // References
+  managers: null, // Managers of the same map (set by mapManagers)
+
+  // Configuration
+  dbName: 'realtime_map_frames',
+  storeName: 'frames',
+  maxFrames: 2000, // Oldest frames are dropped above this count
+
+  // State
+  db: null,
+  memoryFrames: [], // Used when IndexedDB is unavailable
+  frameCount: 0,
+  isRecording: false,
+
+  /**
+   * Opens the underlying store
+   * @param {Object} options - Configuration {dbName, maxFrames}
+   * @returns {Promise} Promise that resolves when the store is ready
+   */
+  async open(options = {}) {
+    if (options.dbName) {
+      this.dbName = options.dbName;
+    }
+    if (options.maxFrames) {
+      this.maxFrames = options.maxFrames;
+    }
+
+    if (this.db || typeof indexedDB === 'undefined') {
+      return Promise.resolve();
+    }
+
+    try {
+      this.db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('time', 'time');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      this.frameCount = await this.request(this.getStore('readonly').count());
+    } catch (error) {
+      console.warn('[FrameRecorder] IndexedDB unavailable, recording in memory:', error);
+      this.db = null;
+    }
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Starts recording, storing an initial snapshot to replay from
+   * @param {Object} snapshot - Current marker data {list: [...]}
+   * @returns {Promise} Promise that resolves when recording has started
+   */
+  async startRecording(snapshot) {
+    await this.open();
+
+    this.isRecording = true;
+
+    if (snapshot) {
+      await this.record(snapshot);
+    }
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Stops recording (stored frames are kept)
+   */
+  stopRecording() {
+    this.isRecording = false;
+  },
+
+  /**
+   * Stores a frame if recording
+   * @param {Object} frame - Applied frame (snapshot or delta)
+   * @returns {Promise} Promise that resolves when the frame is stored
+   */
+  async record(frame) {
+    if (!this.isRecording) {
+      return Promise.resolve();
+    }
+
+    const entry = {
+      time: Date.now(),
+      kind: frame.type === 'delta' ? 'delta' : 'snapshot',
+      // Stored as a plain copy so later mutations don't leak into the recording
+      frame: JSON.parse(JSON.stringify(frame))
+    };
+
+    try {
+      if (this.db) {
+        await this.request(this.getStore('readwrite').add(entry));
+      } else {
+        this.memoryFrames.push(entry);
+      }
+      this.frameCount++;
+
+      await this.enforceLimit();
+    } catch (error) {
+      console.error('[FrameRecorder] Error storing frame:', error);
+    }
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Drops the oldest frames above maxFrames
+   * @returns {Promise} Promise that resolves when the store is within bounds
+   */
+  async enforceLimit() {
+    const excess = this.frameCount - this.maxFrames;
+
+    if (excess <= 0) {
+      return Promise.resolve();
+    }
+
+    if (!this.db) {
+      this.memoryFrames.splice(0, excess);
+      this.frameCount = this.memoryFrames.length;
+      return Promise.resolve();
+    }
+
+    await new Promise((resolve, reject) => {
+      let removed = 0;
+      const request = this.getStore('readwrite').openCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor && removed < excess) {
+          cursor.delete();
+          removed++;
+          cursor.continue();
+        } else {
+          this.frameCount -= removed;
+          resolve();
+        }
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Gets all stored frames ordered by time
+   * @returns {Promise} Promise that resolves with an array of {time, kind, frame}
+   */
+  async getFrames() {
+    await this.open();
+
+    if (!this.db) {
+      return [...this.memoryFrames];
+    }
+
+    return this.request(this.getStore('readonly').index('time').getAll());
+  },
+
+  /**
+   * Deletes all stored frames
+   * @returns {Promise} Promise that resolves when the store is empty
+   */
+  async clear() {
+    this.memoryFrames = [];
+    this.frameCount = 0;
+
+    if (this.db) {
+      await this.request(this.getStore('readwrite').clear());
+    }
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Gets the frame object store
+   * @param {String} mode - Transaction mode ('readonly' or 'readwrite')
+   * @returns {IDBObjectStore} Object store
+   */
+  getStore(mode) {
+    return this.db.transaction(this.storeName, mode).objectStore(this.storeName);
+  },
+
+  /**
+   * Wraps an IndexedDB request in a promise
+   * @param {IDBRequest} request - IndexedDB request
+   * @returns {Promise} Promise that resolves with the request result
+   */
+  request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+};
+
+export default frameRecorder;
@@ -0,0 +1,172 @@
+/**
+ * headlessMap.js
+ * Runs the map core (coordinator, event queue and managers) without Vue,
+ * Leaflet or a DOM, on the in-memory map adapter. Used to exercise the full
+ * update pipeline under Node (see examples/headlessRun.js). Needs the rbush
+ * package of the spatial index (utilsMap/markerIndex.js) to be installed
+ */
+
+import mapCoordinator from './mapCoordinator.js';
+import mapManagers from './mapManagers.js';
+import memoryAdapter from './adapters/memoryAdapter.js';
+import iconSizeUtils from '../utilsMap/iconSizeUtils.js';
+
+const headlessMap = {
+  /**
+   * Creates and initializes a headless map
+   * @param {Object} options - Configuration {id, zoom, center, markerMode}
+   * @returns {Object} Headless map {coordinator, managers, map, markerLayer, host}
+   */
+  create(options = {}) {
+    const coordinator = mapCoordinator.createCoordinator();
+    const managers = mapManagers.createManagerSet({ id: options.id, mapAdapter: memoryAdapter });
+    const map = memoryAdapter.createMap({ zoom: options.zoom, center: options.center });
+    const markerLayer = memoryAdapter.createLayer();
+
+    map.addLayer(markerLayer);
+    coordinator.managers = managers;
+
+    if (options.markerMode) {
+      coordinator.currentMarkerMode = options.markerMode;
+    }
+
+    // Stands in for the Vue component the managers talk to
+    const host = {
+      mapCoordinator: coordinator,
+      dataP: null,
+      emitted: [],   // Events emitted with $emit {name, payload}
+      queueEvent(eventType, eventData, priority = null) {
+        mapCoordinator.queueEvent(coordinator, eventType, eventData, priority);
+      },
+      $emit(name, payload) {
+        this.emitted.push({ name, payload });
+      }
+    };
+
+    const instance = Object.assign(Object.create(headlessMap), {
+      coordinator,
+      managers,
+      map,
+      markerLayer,
+      host
+    });
+
+    // Same initialization order as WorldMap.vue
+    coordinator.currentZoom = map.getZoom();
+    coordinator.iconSizes = iconSizeUtils.calculateIconSizes(coordinator.currentZoom);
+
+    managers.markerManager.initialize(coordinator, map, markerLayer);
+    managers.markerRenderer.initialize(coordinator, map, host);
+    managers.userInteractionManager.initialize(coordinator, map);
+    managers.realtimeManager.initialize(coordinator, map);
+    managers.replayManager.initialize(coordinator);
+    managers.snapshotCache.initialize(coordinator);
+
+    mapCoordinator.registerEvents(host);
+
+    coordinator.isReady = true;
+    coordinator.state = 'ready';
+
+    return instance;
+  },
+
+  /**
+   * Queues an event in the coordinator
+   * @param {String} eventType - Event type
+   * @param {Object} eventData - Event data
+   * @param {String} priority - Priority (default: from the event registry)
+   */
+  queueEvent(eventType, eventData, priority = null) {
+    mapCoordinator.queueEvent(this.coordinator, eventType, eventData, priority);
+  },
+
+  /**
+   * Loads a full data set, replacing all markers
+   * @param {Object} data - Data in {list} format
+   * @returns {Promise} Promise that resolves when the map is idle
+   */
+  load(data) {
+    this.host.dataP = data;
+    this.queueEvent('process_markers', { markers: data.list });
+    return this.whenIdle();
+  },
+
+  /**
+   * Applies new data the way backend replies are applied
+   * @param {Object} data - Data in {list} format
+   * @returns {Promise} Promise that resolves when the map is idle
+   */
+  update(data) {
+    this.host.dataP = data;
+    this.queueEvent('data_update', { data });
+    return this.whenIdle();
+  },
+
+  /**
+   * Applies a real-time frame (full data or delta, see realtimeManager.js)
+   * @param {Object} frame - Frame
+   * @returns {Promise} Promise that resolves when the map is idle
+   */
+  applyFrame(frame) {
+    this.queueEvent('realtime_update', frame);
+    return this.whenIdle();
+  },
+
+  /**
+   * Changes the marker mode
+   * @param {String} mode - Marker mode
+   * @returns {Promise} Promise that resolves when the map is idle
+   */
+  setMarkerMode(mode) {
+    this.queueEvent('update_marker_mode', { mode });
+    return this.whenIdle();
+  },
+
+  /**
+   * Changes the zoom, as a user zoom would
+   * @param {Number} zoom - Zoom level
+   * @returns {Promise} Promise that resolves when the map is idle
+   */
+  async setZoom(zoom) {
+    this.map.setZoom(zoom);
+
+    // Zoom changes are debounced before their events are queued
+    await new Promise(resolve => setTimeout(resolve, this.managers.userInteractionManager.zoomDebounceDelay + 10));
+
+    return this.whenIdle();
+  },
+
+  /**
+   * Waits until no interaction is in progress and no event is running or
+   * queued (pending retries are not waited for)
+   * @returns {Promise} Promise that resolves when the coordinator is idle
+   */
+  async whenIdle() {
+    const coordinator = this.coordinator;
+
+    while (coordinator.userInteracting || coordinator.currentEvent.type || coordinator.eventQueue.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Gets the markers currently on the map
+   * @returns {Array} In-memory markers (see memoryAdapter.js)
+   */
+  getMarkers() {
+    return [...this.managers.markerManager.markerInstances.values()];
+  },
+
+  /**
+   * Stops timers and releases the host
+   */
+  destroy() {
+    this.managers.realtimeManager.stopUpdates();
+    this.managers.markerManager.clearAllMarkers();
+    mapCoordinator.unregisterEvents(this.host);
+  }
+};
+
+export default headlessMap;
@@ -4,6 +4,9 @@
  */
 
 import iconSizeUtils from '../utilsMap/iconSizeUtils.js';
+import eventQueue from './eventQueue.js';
+import eventRegistry from './eventRegistry.js';
+import eventTracer from './eventTracer.js';
 
 const mapCoordinator = {
   /**
@@ -11,29 +14,65 @@ const mapCoordinator = {
    * @returns {Object} Initial coordinator state
    */
   createCoordinator() {
+    const registry = eventRegistry.create();
+
     return {
       // Map state
       state: 'initializing',   // Current map state
       isReady: false,          // If map is fully initialized
       userInteracting: false,  // If user is interacting with the map
       pendingUpdates: false,   // If there are pending updates
+      pendingDataUpdate: false, // If component data (dataP) changed during an interaction
       lastUpdateTime: null,    // Last time the map was updated
+      staleSince: null,        // Time of the cached snapshot shown until fresh data arrives
       realtimeInterval: 5,     // Update interval in seconds
+      realtimeState: 'stopped', // Real-time updates: 'stopped', 'running', 'connected', 'retrying', 'paused', 'paused_errors', 'paused_hidden'
+      realtimeNextUpdate: null, // Timestamp of the next scheduled poll
+      realtimeLastError: null, // Last real-time error {message, time}
+      realtimeErrorCount: 0,   // Consecutive real-time errors
       currentMarkerMode: 'num_state', // Current marker mode
       currentZoom: 5,          // Current zoom level
       previousZoom: null,      // Previous zoom level
+      selectedMarkerId: null,  // Marker whose popup is open
+      currentBounds: null,     // Current map bounds
+      filterByBounds: false,   // Only markers near the viewport get map instances (see markerManager.syncViewport)
+      animateMovement: false,  // Markers glide to new positions (see markerManager.moveMarker)
+      showHeading: false,      // Marker icons show the heading of their last movement
+      showTrails: false,       // Movement trails shown for all markers (each marker can override it)
+
+      // Marker filter (see markerManager.applyMarkerFilter)
+      markerFilter: null,      // Filter {states, types, name, min, max}, null shows every marker
+      filterCounts: { shown: 0, total: 0 }, // Markers matching the filter, of all markers
+      filterOptions: { states: [], types: [] }, // States and marker types found in the data
 
       // Icon settings
       iconSizes: iconSizeUtils.calculateIconSizes(5), // Initial sizes for zoom 5
 
+      // Record and replay state
+      replay: {
+        recording: false,      // If applied real-time frames are recorded
+        active: false,         // If the map is showing recorded frames
+        playing: false,        // If replay is advancing automatically
+        speed: 1,              // Playback speed multiplier
+        startTime: null,       // Time of the first recorded frame
+        endTime: null,         // Time of the last recorded frame
+        currentTime: null,     // Time of the frame currently shown
+        dataPending: false     // If component data (dataP) changed during replay, applied on exit
+      },
+
       // Tooltip state
       currentTooltipState: false, // If tooltips are activated
       tooltipStateBeforeZoom: false, // Tooltip state before zoom
 
       errorInfo: {             // Error information
         code: 0,
-        message: ''
+        message: '',
+        eventType: null        // Event type that failed (null for other errors)
       },
+      errorHistory: [],        // Recent errors, newest first (see reportError)
+      maxErrorHistory: 20,     // Errors kept in the history
+      failedEvent: null,       // Last event that failed for good {type, data, priority}, for retry
+      retryTimers: [],         // Pending automatic retries
       debug: true,             // Enable debug logs
 
       // Event system
@@ -43,9 +82,17 @@ const mapCoordinator = {
         startTime: null,       // Start time
         isInterruptible: true, // If it can be interrupted
         progress: 0,           // Progress (0-100%)
-        data: null             // Relevant event data
+        progressLabel: '',     // Translation key of the step the progress refers to (e.g. 'map.creatingMarkers')
+        data: null,            // Relevant event data
+        id: null,              // Event id
+        attempt: 0,            // Retry attempt (0 for the first run)
+        abortController: null, // Aborts the event work when interrupted
+        signal: null           // Abort signal passed to the managers
       },
-      eventQueue: [],          // Pending events queue
+      eventRegistry: registry, // Event types this map can run (see eventRegistry.js)
+      eventQueue: eventQueue.createQueue(registry.coalesceRules), // Pending events by priority (see eventQueue.js)
+      lastEventId: 0,          // Id of the last queued event
+      trace: eventTracer.createTrace(), // Opt-in event timeline (see eventTracer.js)
       lastUserEvent: {         // Last user event
         type: null,
         timestamp: null,
@@ -53,6 +100,7 @@ const mapCoordinator = {
       },
 
       // References to other components
+      managers: null,          // Managers of this map (see mapManagers.js)
       mapInstance: null,       // Leaflet map instance
       componentInstance: null, // Vue component instance
     };
@@ -71,7 +119,41 @@ const mapCoordinator = {
    * @param {Object} componentInstance - Vue component instance
    */
   unregisterEvents(componentInstance) {
-    componentInstance.mapCoordinator.componentInstance = null;
+    const coordinator = componentInstance.mapCoordinator;
+
+    // Pending retries would run against a destroyed map
+    coordinator.retryTimers.forEach(timer => clearTimeout(timer));
+    coordinator.retryTimers = [];
+
+    coordinator.componentInstance = null;
+  },
+
+  /**
+   * Registers a custom event type, or replaces a built-in one, for one map
+   * @param {Object} coordinator - Coordinator state
+   * @param {String} eventType - Event type
+   * @param {Object} definition - {handler, action, interruptible, priority, coalesce} (see eventRegistry.js)
+   */
+  registerEventType(coordinator, eventType, definition) {
+    coordinator.eventRegistry.register(eventType, definition);
+  },
+
+  /**
+   * Removes a registered event type from one map
+   * @param {Object} coordinator - Coordinator state
+   * @param {String} eventType - Event type
+   */
+  unregisterEventType(coordinator, eventType) {
+    coordinator.eventRegistry.unregister(eventType);
+  },
+
+  /**
+   * Gets the names of the event types a map can run
+   * @param {Object} coordinator - Coordinator state
+   * @returns {Array} Event types
+   */
+  getEventTypes(coordinator) {
+    return coordinator.eventRegistry.list();
   },
 
   /**
@@ -79,39 +161,44 @@ const mapCoordinator = {
    * @param {Object} coordinator - Coordinator state
    * @param {String} eventType - Event type
    * @param {Object} eventData - Associated event data
-   * @param {String} priority - Event priority ('high', 'normal', 'low')
+   * @param {String} priority - Event priority ('critical', 'high', 'normal', 'low'), defaults to the one registered for the type
    */
-  queueEvent(coordinator, eventType, eventData, priority = 'normal') {
+  queueEvent(coordinator, eventType, eventData, priority = null) {
+    if (!priority) {
+      const definition = coordinator.eventRegistry.get(eventType);
+      priority = definition ? definition.priority : 'normal';
+    }
+
+    // Queued, running and last user events are kept in reactive state (see eventQueue.freezeData)
+    eventData = eventQueue.freezeData(eventData);
+
     if (coordinator.debug) {
       //console.log(`[MapCoordinator] Queuing event: ${eventType}`, eventData);
     }
+
+    // Identify the event through interruptions and coalescing
+    const id = ++coordinator.lastEventId;
+    eventTracer.record(coordinator.trace, { id, type: eventType, priority }, 'enqueued');
+
     // If it's a critical event, always interrupt current action
     if (priority === 'critical') {
-      // If there's an ongoing event, save it to resume later
+      // If there's an ongoing event, stop it and save it to resume later
       if (coordinator.currentEvent.type) {
-        const interruptedEvent = { ...coordinator.currentEvent };
-        coordinator.eventQueue.unshift({
-          type: interruptedEvent.type,
-          data: interruptedEvent.data,
-          priority: interruptedEvent.priority || 'normal',
-          timestamp: Date.now()
-        });
+        this.interruptCurrentEvent(coordinator, eventType, coordinator.currentEvent.priority || 'normal');
       }
 
       // Cancel timers if it's a marker mode change
       if (eventType === 'update_marker_mode') {
-        import('./realtimeManager.js').then(module => {
-          module.default.stopUpdates();
-        });
+        coordinator.managers.realtimeManager.stopUpdates();
       }
 
       // Start critical event immediately
-      this.startEvent(coordinator, eventType, eventData, priority);
+      this.startEvent(coordinator, eventType, eventData, priority, id);
       return;
     }
     // If no event is running, start immediately
     if (!coordinator.currentEvent.type) {
-      this.startEvent(coordinator, eventType, eventData);
+      this.startEvent(coordinator, eventType, eventData, priority, id);
       return;
     }
 
@@ -119,25 +206,22 @@ const mapCoordinator = {
     if ((priority === 'high' || eventType.startsWith('user_')) &&
       coordinator.currentEvent.isInterruptible) {
 
-      // Save current event to resume later
-      const interruptedEvent = { ...coordinator.currentEvent };
-      coordinator.eventQueue.unshift({
-        type: interruptedEvent.type,
-        data: interruptedEvent.data,
-        priority: 'high', // To ensure it's resumed soon
-        timestamp: Date.now()
-      });
+      // Stop current event and save it to resume later (high to ensure it's resumed soon)
+      this.interruptCurrentEvent(coordinator, eventType, 'high');
 
       // Start new high-priority event
-      this.startEvent(coordinator, eventType, eventData);
+      this.startEvent(coordinator, eventType, eventData, priority, id);
     } else {
-      // Add to queue with specified priority
-      coordinator.eventQueue.push({
+      // Add to queue with specified priority (may coalesce with a queued event of the same type)
+      const replaced = eventQueue.enqueue(coordinator.eventQueue, {
+        id,
         type: eventType,
         data: eventData,
         priority: priority,
         timestamp: Date.now()
-      });
+      }, coordinator);
+
+      eventTracer.record(coordinator.trace, replaced, 'coalesced');
 
       if (eventType.startsWith('user_')) {
         // Update last user event
@@ -155,22 +239,35 @@ const mapCoordinator = {
    * @param {Object} coordinator - Coordinator state
    * @param {String} eventType - Event type
    * @param {Object} eventData - Associated event data
+   * @param {String} priority - Event priority
+   * @param {Number} id - Event id (assigned by queueEvent)
+   * @param {Number} attempt - Retry attempt (0 for the first run)
    */
-  startEvent(coordinator, eventType, eventData, priority = 'normal') {
+  startEvent(coordinator, eventType, eventData, priority = 'normal', id = null, attempt = 0) {
     if (coordinator.debug) {
       //console.log(`[MapCoordinator] Starting event: ${eventType} with priority ${priority}`, eventData);
     }
     
+    // Each event gets its own abort signal, aborted if the event is interrupted
+    const abortController = new AbortController();
+
     // Configure current event with priority
     coordinator.currentEvent = {
       type: eventType,
       action: this.determineAction(coordinator, eventType, eventData),
       startTime: Date.now(),
-      isInterruptible: this.isEventInterruptible(eventType),
+      isInterruptible: this.isEventInterruptible(coordinator, eventType),
       priority: priority,
       progress: 0,
-      data: eventData
+      progressLabel: '',
+      data: eventQueue.freezeData(eventData),
+      id,
+      attempt,
+      abortController,
+      signal: abortController.signal
     };
+
+    eventTracer.record(coordinator.trace, coordinator.currentEvent, 'started');
     
     // Execute corresponding action
     this.executeEvent(coordinator);
@@ -184,161 +281,127 @@ const mapCoordinator = {
    * @returns {String} Name of action to execute
    */
   determineAction(coordinator, eventType, eventData) {
-    // Event to action mapping
-    const eventActionMap = {
-      'data_update': 'updateMap',
-      'process_markers': 'processMarkers',
-      'user_zoom_change': 'handleZoomChange',
-      'user_bounds_change': 'handleBoundsChange',
-      'user_center_change': 'handleCenterChange',
-      'marker_click': 'handleMarkerClick',
-      'marker_hover': 'handleMarkerHover',
-      'realtime_update': 'handleRealtimeUpdate',
-      'update_icon_sizes': 'updateIconSizes',
-      'update_tooltip_state': 'updateTooltipState',
-      'update_marker_mode': 'updateMarkerMode'
-    };
+    const definition = coordinator.eventRegistry.get(eventType);
 
-    return eventActionMap[eventType] || 'unknownAction';
+    return definition ? definition.action : 'unknownAction';
   },
 
   /**
    * Determines if an event can be interrupted
+   * @param {Object} coordinator - Coordinator state
    * @param {String} eventType - Event type
    * @returns {Boolean} If the event is interruptible
    */
-  isEventInterruptible(eventType) {
-    // Events that should not be interrupted under normal circumstances
-    const nonInterruptibleEvents = [
-      'initialization',
-      'error_handling'
-    ];
-
-    // However, critical events can interrupt even these
-    if (this.currentEvent && this.currentEvent.priority === 'critical') {
-      return true;
-    }
+  isEventInterruptible(coordinator, eventType) {
+    const definition = coordinator.eventRegistry.get(eventType);
 
-    return !nonInterruptibleEvents.includes(eventType);
+    // Critical events interrupt even non-interruptible ones (see queueEvent)
+    return definition ? definition.interruptible : true;
   },
 
   /**
-   * Executes the action corresponding to the current event
+   * Executes the handler registered for the current event
    * @param {Object} coordinator - Coordinator state
    */
   executeEvent(coordinator) {
-    const { type, action, data } = coordinator.currentEvent;
-    const component = coordinator.componentInstance;
+    const { type, data, signal } = coordinator.currentEvent;
+    const definition = coordinator.eventRegistry.get(type);
 
-    if (!component) {
+    if (!coordinator.componentInstance) {
       console.error('[MapCoordinator] No component instance available');
       this.eventCompleted(coordinator);
       return;
     }
 
-    // Invoke method corresponding to event type
-    switch (type) {
-      case 'data_update':
-        // Use markerManager module to update map
-        import('./markerManager.js').then(module => {
-          module.default.updateMarkersFromData(coordinator, data.data)
-            .then(() => this.eventCompleted(coordinator))
-            .catch(error => {
-              console.error('[MapCoordinator] Error in data_update:', error);
-              this.handleEventError(coordinator, error);
-            });
-        });
-        break;
-
-      case 'process_markers':
-        // Use markerManager module to process markers
-        import('./markerManager.js').then(module => {
-          module.default.processMarkers(coordinator, data.markers)
-            .then(() => this.eventCompleted(coordinator))
-            .catch(error => {
-              console.error('[MapCoordinator] Error in process_markers:', error);
-              this.handleEventError(coordinator, error);
-            });
-        });
-        break;
-
-      case 'update_icon_sizes':
-        // Use userInteractionManager to update icon sizes
-        import('./userInteractionManager.js').then(module => {
-          module.default.applyIconSizeUpdate(coordinator, data.iconSizes)
-            .then(() => this.eventCompleted(coordinator))
-            .catch(error => {
-              console.error('[MapCoordinator] Error in update_icon_sizes:', error);
-              this.handleEventError(coordinator, error);
-            });
-        });
-        break;
-
-      case 'update_tooltip_state':
-        // Use markerManager to update tooltip state
-        import('./markerManager.js').then(module => {
-          module.default.updateTooltipState(coordinator, data.enabled)
-            .then(() => this.eventCompleted(coordinator))
-            .catch(error => {
-              console.error('[MapCoordinator] Error in update_tooltip_state:', error);
-              this.handleEventError(coordinator, error);
-            });
-        });
-        break;
-
-      case 'update_marker_mode':
-        // Use markerManager to update marker mode
-        import('./markerManager.js').then(module => {
-          module.default.updateMarkerMode(coordinator, data.mode)
-            .then(() => this.eventCompleted(coordinator))
-            .catch(error => {
-              console.error('[MapCoordinator] Error in update_marker_mode:', error);
-              this.handleEventError(coordinator, error);
-            });
-        });
-        break;
-
-      case 'user_zoom_change':
-      case 'user_bounds_change':
-      case 'user_center_change':
-        // Use userInteractionManager to handle interactions
-        import('./userInteractionManager.js').then(module => {
-          module.default.handleMapInteraction(coordinator, type, data)
-            .then(() => this.eventCompleted(coordinator))
-            .catch(error => {
-              console.error(`[MapCoordinator] Error in ${type}:`, error);
-              this.handleEventError(coordinator, error);
-            });
-        });
-        break;
-
-      case 'realtime_update':
-        // Use realtimeManager for real-time updates
-        import('./realtimeManager.js').then(module => {
-          module.default.performUpdate(coordinator, data)
-            .then(() => this.eventCompleted(coordinator))
-            .catch(error => {
-              console.error('[MapCoordinator] Error in realtime_update:', error);
-              this.handleEventError(coordinator, error);
-            });
-        });
-        break;
-
-      default:
-        console.warn(`[MapCoordinator] Unknown event type: ${type}`);
-        this.eventCompleted(coordinator);
+    if (!definition) {
+      console.warn(`[MapCoordinator] Unknown event type: ${type}`);
+      this.eventCompleted(coordinator);
+      return;
+    }
+
+    // Handlers may be synchronous or throw before returning a promise
+    let work;
+    try {
+      work = Promise.resolve(definition.handler(coordinator, data, signal));
+    } catch (error) {
+      work = Promise.reject(error);
+    }
+
+    this.settleEvent(coordinator, signal, work);
+  },
+
+  /**
+   * Completes the current event when its work settles. Work of an interrupted
+   * event is ignored: it was re-queued and another event is current now.
+   * @param {Object} coordinator - Coordinator state
+   * @param {AbortSignal} signal - Signal of the event the work belongs to
+   * @param {Promise} work - Promise of the event work
+   * @returns {Promise} Promise that resolves when the event is settled
+   */
+  settleEvent(coordinator, signal, work) {
+    return work
+      .then(result => {
+        if (coordinator.currentEvent.signal === signal) {
+          this.eventCompleted(coordinator, true, result !== false);
+        }
+      })
+      .catch(error => {
+        if (coordinator.currentEvent.signal !== signal) {
+          return;
+        }
+        console.error(`[MapCoordinator] Error in ${coordinator.currentEvent.type}:`, error);
+        this.handleEventError(coordinator, error);
+      });
+  },
+
+  /**
+   * Interrupts the current event: puts it back in the queue and aborts its work
+   * @param {Object} coordinator - Coordinator state
+   * @param {String} newEventType - Type of the event taking over
+   * @param {String} priority - Priority to resume it with
+   */
+  interruptCurrentEvent(coordinator, newEventType, priority) {
+    const interruptedEvent = { ...coordinator.currentEvent };
+
+    // Not resumed if the new event makes it obsolete (e.g. a newer zoom change)
+    if (eventQueue.supersedes(coordinator.eventQueue, newEventType, interruptedEvent.type)) {
+      eventTracer.record(coordinator.trace, interruptedEvent, 'superseded');
+    } else {
+      const foldedInto = eventQueue.requeue(coordinator.eventQueue, {
+        id: interruptedEvent.id,
+        type: interruptedEvent.type,
+        data: interruptedEvent.data,
+        attempt: interruptedEvent.attempt,
+        priority: priority,
+        timestamp: Date.now()
+      }, coordinator);
+
+      eventTracer.record(coordinator.trace, interruptedEvent, foldedInto ? 'coalesced' : 'interrupted');
+    }
+
+    if (interruptedEvent.abortController) {
+      interruptedEvent.abortController.abort();
     }
   },
 
   /**
    * Marks an event as completed and processes the next in queue
    * @param {Object} coordinator - Coordinator state
+   * @param {Boolean} succeeded - False when the event failed
+   * @param {Boolean} changed - False when the event ran but changed nothing (see eventRegistry.js resolves)
    */
-  eventCompleted(coordinator) {
+  eventCompleted(coordinator, succeeded = true, changed = true) {
     if (coordinator.debug) {
       //console.log(`[MapCoordinator] Event completed: ${coordinator.currentEvent.type}`);
     }
 
+    eventTracer.record(coordinator.trace, coordinator.currentEvent, 'completed');
+
+    // A successful run clears earlier errors it makes obsolete
+    if (succeeded && coordinator.currentEvent.type) {
+      this.resolveErrors(coordinator, coordinator.currentEvent.type, changed);
+    }
+
     // Reset current event
     coordinator.currentEvent = {
       type: null,
@@ -346,37 +409,238 @@ const mapCoordinator = {
       startTime: null,
       isInterruptible: true,
       progress: 0,
-      data: null
+      progressLabel: '',
+      data: null,
+      id: null,
+      attempt: 0,
+      abortController: null,
+      signal: null
     };
 
-    // Process next event in queue if it exists
-    if (coordinator.eventQueue.length > 0) {
-      // Sort by priority
-      coordinator.eventQueue.sort((a, b) => {
-        if (a.priority === 'high' && b.priority !== 'high') return -1;
-        if (b.priority === 'high' && a.priority !== 'high') return 1;
-        return 0;
-      });
-
-      const nextEvent = coordinator.eventQueue.shift();
-      this.startEvent(coordinator, nextEvent.type, nextEvent.data);
+    // Process next event in queue if it exists (highest priority, oldest first)
+    const nextEvent = eventQueue.dequeue(coordinator.eventQueue);
+    if (nextEvent) {
+      this.startEvent(coordinator, nextEvent.type, nextEvent.data, nextEvent.priority, nextEvent.id, nextEvent.attempt || 0);
     }
   },
 
   /**
-   * Handles errors during event execution
+   * Removes queued events matching a predicate
+   * @param {Object} coordinator - Coordinator state
+   * @param {Function} predicate - Returns true for events to remove
+   * @returns {Number} Number of removed events
+   */
+  removeQueuedEvents(coordinator, predicate) {
+    return eventQueue.remove(coordinator.eventQueue, event => {
+      const remove = predicate(event);
+      if (remove) {
+        eventTracer.record(coordinator.trace, event, 'removed');
+      }
+      return remove;
+    });
+  },
+
+  /**
+   * Turns event tracing on or off (existing entries are kept)
+   * @param {Object} coordinator - Coordinator state
+   * @param {Boolean} enabled - Whether to record events
+   */
+  setTracing(coordinator, enabled) {
+    coordinator.trace.enabled = !!enabled;
+  },
+
+  /**
+   * Exports traced events as JSON for bug reports
+   * @param {Object} coordinator - Coordinator state
+   * @returns {String} JSON document
+   */
+  exportTrace(coordinator) {
+    return eventTracer.exportJson(coordinator.trace);
+  },
+
+  /**
+   * Removes all traced events
+   * @param {Object} coordinator - Coordinator state
+   */
+  clearTrace(coordinator) {
+    eventTracer.clear(coordinator.trace);
+  },
+
+  /**
+   * Gets event queue metrics
+   * @param {Object} coordinator - Coordinator state
+   * @returns {Object} Metrics {depth, byPriority, maxDepth, enqueued, dequeued, coalesced, removed}
+   */
+  getQueueMetrics(coordinator) {
+    return eventQueue.getMetrics(coordinator.eventQueue);
+  },
+
+  /**
+   * Handles errors during event execution. Events with a retry policy are
+   * queued again after a delay; otherwise the error is shown until resolved
    * @param {Object} coordinator - Coordinator state
    * @param {Error} error - Error occurred
    */
   handleEventError(coordinator, error) {
-    coordinator.errorInfo = {
-      code: 500,
-      message: `Error in event ${coordinator.currentEvent.type}: ${error.message}`
-    };
-    coordinator.state = 'error';
+    const event = coordinator.currentEvent;
+    const definition = coordinator.eventRegistry.get(event.type);
+    const policy = definition ? definition.retry : null;
+    const attempt = event.attempt || 0;
+    const willRetry = !!policy && attempt < policy.attempts;
+
+    eventTracer.record(coordinator.trace, event, 'error', error);
+
+    const entry = this.reportError(coordinator, 500, `Error in event ${event.type}: ${error.message}`, {
+      eventType: event.type,
+      attempt,
+      willRetry
+    });
+
+    if (willRetry) {
+      const delay = policy.delay * Math.pow(policy.backoff, attempt);
+      const failedEvent = { type: event.type, data: event.data, priority: event.priority, attempt: attempt + 1 };
+
+      const timer = setTimeout(() => {
+        coordinator.retryTimers = coordinator.retryTimers.filter(t => t !== timer);
+
+        // A later successful run already made the retry pointless
+        if (!entry.resolvedAt) {
+          this.retryEvent(coordinator, failedEvent);
+        }
+      }, delay);
+      coordinator.retryTimers.push(timer);
+    } else {
+      coordinator.state = 'error';
+      // Frozen so Vue doesn't observe the event data
+      coordinator.failedEvent = Object.freeze({ type: event.type, data: event.data, priority: event.priority });
+    }
 
     // Complete event with error to continue with the next
-    this.eventCompleted(coordinator);
+    this.eventCompleted(coordinator, false);
+  },
+
+  /**
+   * Queues a failed event again
+   * @param {Object} coordinator - Coordinator state
+   * @param {Object} failedEvent - Event {type, data, priority, attempt}
+   */
+  retryEvent(coordinator, failedEvent) {
+    if (!coordinator.componentInstance) {
+      return;
+    }
+
+    const id = ++coordinator.lastEventId;
+    const event = { ...failedEvent, id, timestamp: Date.now() };
+
+    eventTracer.record(coordinator.trace, event, 'enqueued');
+
+    if (!coordinator.currentEvent.type) {
+      this.startEvent(coordinator, event.type, event.data, event.priority, id, event.attempt);
+    } else {
+      const replaced = eventQueue.enqueue(coordinator.eventQueue, event, coordinator);
+      eventTracer.record(coordinator.trace, replaced, 'coalesced');
+    }
+  },
+
+  /**
+   * Records an error in the history and shows it in the error banner
+   * @param {Object} coordinator - Coordinator state
+   * @param {Number} code - Error code
+   * @param {String} message - Error message
+   * @param {Object} details - {eventType, attempt, willRetry} (optional)
+   * @returns {Object} History entry
+   */
+  reportError(coordinator, code, message, details = {}) {
+    const entry = {
+      id: ++coordinator.lastEventId,
+      time: Date.now(),
+      code,
+      message,
+      eventType: details.eventType || null,
+      attempt: details.attempt || 0,
+      willRetry: !!details.willRetry,  // An automatic retry was scheduled
+      resolvedAt: null                 // Set when a later success or the user clears it
+    };
+
+    coordinator.errorHistory.unshift(entry);
+    if (coordinator.errorHistory.length > coordinator.maxErrorHistory) {
+      coordinator.errorHistory.splice(coordinator.maxErrorHistory);
+    }
+
+    // Errors about to be retried are only kept in the history
+    if (!entry.willRetry) {
+      coordinator.errorInfo = { code, message, eventType: entry.eventType };
+      coordinator.failedEvent = null;
+    }
+
+    return entry;
+  },
+
+  /**
+   * Clears errors made obsolete by a successful event: errors of the same type
+   * and of the types it resolves (see eventRegistry.js)
+   * @param {Object} coordinator - Coordinator state
+   * @param {String} eventType - Type of the event that succeeded
+   * @param {Boolean} includeResolved - Also clear the types it resolves (default true)
+   */
+  resolveErrors(coordinator, eventType, includeResolved = true) {
+    const definition = coordinator.eventRegistry.get(eventType);
+    const types = [eventType, ...(definition && includeResolved ? definition.resolves : [])];
+    const now = Date.now();
+
+    coordinator.errorHistory.forEach(entry => {
+      if (!entry.resolvedAt && types.includes(entry.eventType)) {
+        entry.resolvedAt = now;
+      }
+    });
+
+    if (coordinator.errorInfo.code !== 0 && types.includes(coordinator.errorInfo.eventType)) {
+      this.clearError(coordinator);
+    }
+  },
+
+  /**
+   * Hides the current error (it stays in the history)
+   * @param {Object} coordinator - Coordinator state
+   */
+  dismissError(coordinator) {
+    const now = Date.now();
+
+    coordinator.errorHistory.forEach(entry => {
+      if (!entry.resolvedAt && !entry.willRetry) {
+        entry.resolvedAt = now;
+      }
+    });
+
+    this.clearError(coordinator);
+  },
+
+  /**
+   * Runs the last failed event again
+   * @param {Object} coordinator - Coordinator state
+   */
+  retryFailedEvent(coordinator) {
+    const failedEvent = coordinator.failedEvent;
+
+    if (!failedEvent) {
+      return;
+    }
+
+    this.clearError(coordinator);
+    this.queueEvent(coordinator, failedEvent.type, failedEvent.data, failedEvent.priority);
+  },
+
+  /**
+   * Resets the error banner and error state
+   * @param {Object} coordinator - Coordinator state
+   */
+  clearError(coordinator) {
+    coordinator.errorInfo = { code: 0, message: '', eventType: null };
+    coordinator.failedEvent = null;
+
+    if (coordinator.state === 'error' && coordinator.isReady) {
+      coordinator.state = 'ready';
+    }
   },
 
   /**
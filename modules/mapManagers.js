@@ -0,0 +1,57 @@
+/**
+ * mapManagers.js
+ * Creates the set of managers used by one map instance, so several maps
+ * can run on the same page without sharing markers, timers or caches
+ */
+
+import markerManager from './markerManager.js';
+import markerRenderer from './markerRenderer.js';
+import realtimeManager from './realtimeManager.js';
+import userInteractionManager from './userInteractionManager.js';
+import replayManager from './replayManager.js';
+import frameRecorder from './frameRecorder.js';
+import snapshotCache from './snapshotCache.js';
+
+const mapManagers = {
+  /**
+   * Creates a new manager set
+   * @param {Object} options - Configuration {id, mapAdapter}
+   * @param {String} options.id - Map identifier, used to keep stored data apart
+   * @param {Object} options.mapAdapter - Creates markers, layers and icons (see modules/adapters)
+   * @returns {Object} Managers {markerManager, markerRenderer, realtimeManager, userInteractionManager, replayManager, frameRecorder, snapshotCache, mapAdapter}
+   */
+  createManagerSet(options = {}) {
+    if (!options.mapAdapter) {
+      throw new Error('[MapManagers] A map adapter is required');
+    }
+
+    const managers = {
+      markerManager: markerManager.create(),
+      markerRenderer: markerRenderer.create(),
+      realtimeManager: realtimeManager.create(),
+      userInteractionManager: userInteractionManager.create(),
+      replayManager: replayManager.create(),
+      frameRecorder: frameRecorder.create(),
+      snapshotCache: snapshotCache.create()
+    };
+
+    // Recordings and cached snapshots of different maps are stored separately
+    if (options.id) {
+      managers.frameRecorder.dbName = `realtime_map_frames_${options.id}`;
+      managers.snapshotCache.storageKey = `realtime_map_snapshot_${options.id}`;
+    }
+
+    // Each manager reaches its siblings through the set
+    Object.values(managers).forEach(manager => {
+      manager.managers = managers;
+    });
+
+    // Shared by the managers, not a manager itself
+    managers.mapAdapter = options.mapAdapter;
+
+    // Frozen so Vue doesn't observe the managers or the Leaflet objects they hold
+    return Object.freeze(managers);
+  }
+};
+
+export default mapManagers;
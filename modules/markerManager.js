@@ -3,12 +3,36 @@
  * Manages marker creation, updating, and deletion on the map
  */
 
-import L from 'leaflet';
-import markerRenderer from './markerRenderer.js';
 import geoUtils from '../utilsMap/geoUtils.js';
+import markerDiff from '../utilsMap/markerDiff.js';
+import filterUtils from '../utilsMap/filterUtils.js';
+import clusterUtils from '../utilsMap/clusterUtils.js';
+import markerIndex from '../utilsMap/markerIndex.js';
+import motionUtils from '../utilsMap/motionUtils.js';
+import trailUtils from '../utilsMap/trailUtils.js';
+import taskUtils from '../utilsMap/taskUtils.js';
 
 const markerManager = {
+  /**
+   * Creates an isolated marker manager for one map
+   * @returns {Object} New marker manager instance
+   */
+  create() {
+    return Object.assign(Object.create(markerManager), {
+      markers: [],
+      markerInstances: new Map(),
+      markerGroups: {},
+      spatialIndex: markerIndex.create(),
+      hiddenMarkers: new Set(),
+      animations: new Map(),
+      trails: new Map(),
+      trailLines: new Map(),
+      trailToggles: new Map()
+    });
+  },
+
   // References to other modules
+  managers: null, // Managers of the same map (set by mapManagers)
   mapCoordinator: null,
   map: null,
   markerLayer: null,
@@ -17,15 +41,44 @@ const markerManager = {
   markers: [],         // Marker data
   markerInstances: new Map(), // ID to Leaflet instance mapping
   markerGroups: {},    // Marker groupings by categories
+  spatialIndex: null,  // Positions of all markers, including those without an instance (see markerIndex.js)
+  hiddenMarkers: new Set(), // IDs of markers hidden by coordinator.markerFilter (their instances are kept off the map)
 
   // Marker mode
   currentClusterMode: false,
   clusterGroup: null,
 
+  // Render mode
+  renderMode: 'auto',        // 'dom', 'canvas' or 'auto' (canvas above canvasThreshold markers)
+  currentRenderMode: 'dom',  // Mode in use: markers are DOM elements or drawn on canvasLayer
+  canvasLayer: null,
+  canvasRedrawPending: false,
+
+  // Movement animations
+  animations: new Map(), // Marker ID to running animation {marker, from, to, start}
+  animationRunning: false,
+
+  // Movement trails
+  trails: new Map(),       // Marker ID to recent positions {lat, lon}, oldest first
+  trailLines: new Map(),   // Marker ID to the lines drawn for its trail
+  trailToggles: new Map(), // Marker ID to trail visibility, overriding coordinator.showTrails
+  trailLayer: null,
+
+  // Configuration
+  refreshThreshold: 10, // Added/removed markers above which a full update is performed
+  chunkSize: 200,       // Markers handled between yields (and abort checks) in long loops
+  frameBudget: 12,      // ms of marker creation or icon updates per frame before yielding
+  canvasThreshold: 3000, // Markers above which 'auto' render mode draws them on a canvas
+  boundsPadding: 0.5,   // Fraction of the viewport size around it where markers get instances (with filterByBounds)
+  animationDuration: 1000, // ms a marker takes to move to a new position (with coordinator.animateMovement)
+  maxAnimatedDistance: 500, // km above which markers jump instead (e.g. after a gap in data)
+  trailLength: 20,      // Positions kept per marker for its movement trail
+  trailStyle: { color: '#0078A8', weight: 2, minOpacity: 0.1, maxOpacity: 0.8 },
+
   /**
    * Initializes the marker manager
    * @param {Object} coordinator - Coordinator instance
-   * @param {Object} mapInstance - Leaflet map instance
+   * @param {Object} mapInstance - Map instance (Leaflet or in-memory, see modules/adapters)
    * @param {Object} layer - Marker layer
    */
   initialize(coordinator, mapInstance, layer) {
@@ -42,9 +95,10 @@ const markerManager = {
    * Processes a set of markers to display on the map
    * @param {Object} coordinator - Coordinator state
    * @param {Array} markerList - List of marker data
+   * @param {AbortSignal} signal - Aborted when the event is interrupted (optional)
    * @returns {Promise} Promise that resolves when processing is complete
    */
-  async processMarkers(coordinator, markerList) {
+  async processMarkers(coordinator, markerList, signal = null) {
     if (coordinator.debug) {
       //console.log('[MarkerManager] Processing markers...', markerList.length);
     }
@@ -61,18 +115,16 @@ const markerManager = {
     // Process each marker
     markerList.forEach(marker => {
       // Add additional properties
-      marker.id = marker.id || `marker_${marker.i}`;
-      marker.iconNumber = marker.i % 16;
-      marker.iconColor = Math.floor(marker.i / 16);
+      this.prepareMarkerData(marker);
 
       // Separate by coordinates
-      if (marker.lat === null || marker.lon === null) {
+      if (!markerDiff.hasCoordinates(marker)) {
         markersWithoutCoords.push(marker);
       } else {
         markersWithCoords.push(marker);
 
         // Duplicate markers crossing the date line
-        if (marker.lon < -140 || marker.lon > 140) {
+        if (markerDiff.crossesDateLine(marker)) {
           this.duplicateMarkerAcrossDateLine(marker, markersWithCoords);
         }
       }
@@ -80,9 +132,18 @@ const markerManager = {
 
     // Save processed markers
     this.markers = markersWithCoords;
+    this.spatialIndex.load(this.markers);
+
+    // Trails of markers that are gone
+    [...this.trails.keys()].forEach(id => {
+      if (!this.spatialIndex.has(id)) {
+        this.clearTrail(id);
+      }
+    });
 
     // Create markers on the map
-    await this.createMarkers(coordinator);
+    await this.createMarkers(coordinator, signal);
+    this.applyMarkerFilter(coordinator);
 
     return Promise.resolve();
   },
@@ -91,9 +152,10 @@ const markerManager = {
    * Updates marker icon sizes for all markers
    * @param {Object} coordinator - Coordinator state
    * @param {Object} iconSizes - Size configuration
+   * @param {AbortSignal} signal - Aborted when the event is interrupted (optional)
    * @returns {Promise} Promise that resolves when update is complete
    */
-  async updateAllIconSizes(coordinator, iconSizes) {
+  async updateAllIconSizes(coordinator, iconSizes, signal = null) {
     if (coordinator.debug) {
       //console.log(`[MarkerManager] Updating icon sizes for ${this.markerInstances.size} markers with size: ${iconSizes.icon.size[0]}x${iconSizes.icon.size[1]}`);
     }
@@ -126,24 +188,31 @@ const markerManager = {
     };
 
     // Clear renderer cache to force regeneration
-    if (markerRenderer && typeof markerRenderer.clearIconCache === 'function') {
-      markerRenderer.clearIconCache();
+    if (this.managers.markerRenderer && typeof this.managers.markerRenderer.clearIconCache === 'function') {
+      this.managers.markerRenderer.clearIconCache();
     }
 
     let updatedCount = 0;
+    let index = 0;
+    const total = this.markerInstances.size;
+    const dataById = this.getMarkerDataById();
+    const slice = taskUtils.createSlice(this.frameBudget);
 
-    // For each marker, update its icon
+    // For each marker, update its icon. If interrupted, the resumed event updates them all again.
     for (const [markerId, marker] of this.markerInstances.entries()) {
+      await taskUtils.sliceCheckpoint(signal, slice, () => this.setProgress(coordinator, 'map.updatingIcons', index, total));
+      index++;
+
       try {
         // Get marker data
-        const markerData = this.markers.find(m => m.id === markerId);
+        const markerData = dataById.get(markerId);
 
         if (markerData) {
           // Create a new icon with updated size
-          const newIcon = markerRenderer.createMarkerIcon(coordinator, markerData, iconSizesCopy);
+          const newIcon = this.managers.markerRenderer.createMarkerIcon(coordinator, markerData, iconSizesCopy);
 
           // Apply the new icon
-          marker.setIcon(newIcon);
+          this.setMarkerIcon(marker, newIcon);
           updatedCount++;
 
           if (coordinator.debug) {
@@ -162,14 +231,19 @@ const markerManager = {
    * Updates tooltip state for all markers
    * @param {Object} coordinator - Coordinator state
    * @param {Boolean} enabled - If tooltips should be visible
+   * @param {AbortSignal} signal - Aborted when the event is interrupted (optional)
    * @returns {Promise} Promise that resolves when update is complete
    */
-  async updateTooltipState(coordinator, enabled) {
+  async updateTooltipState(coordinator, enabled, signal = null) {
     if (coordinator.debug) {
       //console.log(`[MarkerManager] Updating tooltip state to: ${enabled ? 'visible' : 'hidden'}`);
     }
 
+    let index = 0;
+
     for (const marker of this.markerInstances.values()) {
+      await taskUtils.checkpoint(signal, index++, this.chunkSize);
+
       try {
         if (enabled) {
           if (marker.getTooltip) {
@@ -202,9 +276,10 @@ const markerManager = {
    * Updates markers with new data
    * @param {Object} coordinator - Coordinator state
    * @param {Object} data - New data
+   * @param {AbortSignal} signal - Aborted when the event is interrupted (optional)
    * @returns {Promise} Promise that resolves when update is complete
    */
-  async updateMarkersFromData(coordinator, data) {
+  async updateMarkersFromData(coordinator, data, signal = null) {
     if (coordinator.debug) {
       //console.log('[MarkerManager] Updating markers with new data');
     }
@@ -216,11 +291,11 @@ const markerManager = {
 
     // If there are significant changes, process all again
     if (this.shouldRefreshAllMarkers(data)) {
-      return this.processMarkers(coordinator, data.list);
+      return this.processMarkers(coordinator, data.list, signal);
     }
 
     // Otherwise, update only markers that have changed
-    await this.updateChangedMarkers(coordinator, data.list);
+    await this.updateChangedMarkers(coordinator, data.list, signal);
 
     return Promise.resolve();
   },
@@ -232,7 +307,7 @@ const markerManager = {
    */
   shouldRefreshAllMarkers(data) {
     // If there's a significant difference in quantity
-    if (Math.abs(this.markers.length - data.list.length) > 10) {
+    if (Math.abs(this.markers.length - data.list.length) > this.refreshThreshold) {
       return true;
     }
 
@@ -248,93 +323,168 @@ const markerManager = {
    * Updates only markers that have changed
    * @param {Object} coordinator - Coordinator state
    * @param {Array} newMarkerList - New list of markers
+   * @param {AbortSignal} signal - Aborted when the event is interrupted (optional)
    * @returns {Promise} Promise that resolves when update is complete
    */
-  async updateChangedMarkers(coordinator, newMarkerList) {
-    // Create a map of current markers by ID
-    const currentMarkersMap = new Map();
-    this.markers.forEach(m => currentMarkersMap.set(m.id, m));
+  async updateChangedMarkers(coordinator, newMarkerList, signal = null) {
+    const { added, changed, removed } = markerDiff.diffMarkers(this.markers, newMarkerList);
+    const dataById = this.getMarkerDataById();
+
+    // Markers are only changed one by one, so an interrupted update leaves
+    // a state the resumed update can diff against again
+    for (let i = 0; i < changed.length; i++) {
+      await taskUtils.checkpoint(signal, i, this.chunkSize);
+      this.recordTrailPoint(coordinator, dataById.get(changed[i].id), changed[i]);
+      await this.updateMarker(coordinator, changed[i]);
+    }
+    this.refreshClusterIcons(changed.map(m => this.markerInstances.get(m.id)).filter(Boolean));
 
-    // New markers to add
-    const markersToAdd = [];
+    // Remove markers that no longer exist
+    for (const idToRemove of removed) {
+      await this.removeMarker(coordinator, idToRemove);
+    }
 
-    // IDs of markers to remove
-    const markersToRemove = new Set([...currentMarkersMap.keys()]);
+    // Add new markers
+    if (added.length > 0) {
+      // Add to marker list
+      this.markers = this.markers.filter(m => !removed.has(m.id)).concat(added);
+      added.forEach(m => this.spatialIndex.insert(m));
 
-    // Iterate through new markers
-    for (const newMarker of newMarkerList) {
-      newMarker.id = newMarker.id || `marker_${newMarker.i}`;
+      // Create markers on the map
+      await this.createSpecificMarkers(coordinator, this.filterToViewport(coordinator, added), signal);
+    }
 
-      // Ignore markers without coordinates
-      if (newMarker.lat === null || newMarker.lon === null) {
-        continue;
-      }
+    await this.updateRenderMode(coordinator);
+    this.applyMarkerFilter(coordinator);
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Applies incremental delta operations directly to existing markers
+   * @param {Object} coordinator - Coordinator state
+   * @param {Array} ops - Operations: {op: 'upsert', id, marker}, {op: 'remove', id}, {op: 'patch', id, fields}
+   * @param {AbortSignal} signal - Aborted when the event is interrupted (optional)
+   * @returns {Promise} Promise that resolves when all operations are applied
+   */
+  async applyDelta(coordinator, ops, signal = null) {
+    if (!Array.isArray(ops)) {
+      console.warn('[MarkerManager] Invalid delta operations');
+      return Promise.resolve();
+    }
 
-      // Remove from list of markers to remove
-      markersToRemove.delete(newMarker.id);
+    // Index current data once instead of searching for every operation
+    const dataById = new Map();
+    this.markers.forEach(m => dataById.set(m.id, m));
 
-      // If already exists, check if it has changed
-      if (currentMarkersMap.has(newMarker.id)) {
-        const currentMarker = currentMarkersMap.get(newMarker.id);
+    // Reduce operations to the final state of each touched marker (null = removed)
+    const finalState = markerDiff.reduceDelta(dataById, ops);
 
-        // Check if marker has changed
-        if (this.hasMarkerChanged(currentMarker, newMarker)) {
-          await this.updateMarker(coordinator, newMarker);
-        }
-      } else {
-        // It's a new marker
-        markersToAdd.push(newMarker);
+    const markersToCreate = [];
+    const updatedMarkers = [];
+    let index = 0;
+
+    // Updates and removals are idempotent, and new markers are only stored once
+    // they are created, so an interrupted delta can simply be applied again
+    for (const [id, markerData] of finalState.entries()) {
+      await taskUtils.checkpoint(signal, index++, this.chunkSize);
+
+      // Removed, or no longer has coordinates
+      if (!markerData || !markerDiff.hasCoordinates(markerData)) {
+        await this.removeMarker(coordinator, id);
+        await this.removeMarker(coordinator, markerDiff.getDateLineId(id));
+        continue;
+      }
 
-        // If crosses date line, duplicate
-        if (newMarker.lon < -140 || newMarker.lon > 140) {
-          this.duplicateMarkerAcrossDateLine(newMarker, markersToAdd);
+      if (this.spatialIndex.has(id)) {
+        const previous = dataById.get(id);
+        if (!previous || this.hasMarkerChanged(previous, markerData)) {
+          this.recordTrailPoint(coordinator, previous, markerData);
+          await this.updateMarker(coordinator, markerData);
+          if (this.markerInstances.has(id)) {
+            updatedMarkers.push(this.markerInstances.get(id));
+          }
+        } else {
+          // Keep non-visual fields (mode values, etc.) up to date
+          this.replaceMarkerData(markerData);
         }
+      } else {
+        markersToCreate.push(markerData);
       }
-    }
 
-    // Remove markers that no longer exist
-    for (const idToRemove of markersToRemove) {
-      await this.removeMarker(coordinator, idToRemove);
+      await this.syncDateLineDuplicate(coordinator, markerData, markersToCreate);
     }
+    this.refreshClusterIcons(updatedMarkers);
 
-    // Add new markers
-    if (markersToAdd.length > 0) {
-      // Add to marker list
-      this.markers = this.markers.filter(m => !markersToRemove.has(m.id)).concat(markersToAdd);
+    if (markersToCreate.length > 0) {
+      // Markers not created if interrupted are dropped again by createSpecificMarkers
+      this.markers = this.markers.concat(markersToCreate);
+      markersToCreate.forEach(m => this.spatialIndex.insert(m));
 
-      // Create markers on the map
-      await this.createSpecificMarkers(coordinator, markersToAdd);
+      await this.createSpecificMarkers(coordinator, this.filterToViewport(coordinator, markersToCreate), signal);
     }
 
+    await this.updateRenderMode(coordinator);
+    this.applyMarkerFilter(coordinator);
+
     return Promise.resolve();
   },
 
   /**
-   * Checks if a marker has changed significantly
-   * @param {Object} oldMarker - Current marker data
-   * @param {Object} newMarker - New marker data
-   * @returns {Boolean} True if marker has changed
+   * Keeps the date line duplicate of a marker in line with its data
+   * @param {Object} coordinator - Coordinator state
+   * @param {Object} markerData - Marker data
+   * @param {Array} markersToCreate - Array collecting new markers (stored and created by the caller)
+   * @returns {Promise} Promise that resolves when the duplicate is synchronized
    */
-  hasMarkerChanged(oldMarker, newMarker) {
-    // Check changes in critical properties
-    if (oldMarker.lat !== newMarker.lat || oldMarker.lon !== newMarker.lon) {
-      return true; // Location changed
-    }
+  async syncDateLineDuplicate(coordinator, markerData, markersToCreate) {
+    const duplicateId = markerDiff.getDateLineId(markerData.id);
 
-    if (oldMarker.name !== newMarker.name) {
-      return true; // Name changed
+    // Duplicate no longer needed
+    if (!markerDiff.crossesDateLine(markerData)) {
+      await this.removeMarker(coordinator, duplicateId);
+      return Promise.resolve();
     }
 
-    if (oldMarker.var !== newMarker.var) {
-      return true; // State/variant changed
+    const duplicate = markerDiff.createDateLineDuplicate(markerData);
+
+    if (this.spatialIndex.has(duplicateId)) {
+      await this.updateMarker(coordinator, duplicate);
+    } else {
+      markersToCreate.push(duplicate);
     }
 
-    if (oldMarker.i !== newMarker.i) {
-      return true; // Index/icon changed
+    return Promise.resolve();
+  },
+
+  /**
+   * Replaces stored data for a marker without touching its Leaflet instance
+   * @param {Object} markerData - New marker data
+   */
+  replaceMarkerData(markerData) {
+    const index = this.markers.findIndex(m => m.id === markerData.id);
+    if (index !== -1) {
+      this.markers[index] = markerData;
     }
+  },
 
-    // No significant change
-    return false;
+  /**
+   * Adds derived properties (id, icon number and color) to marker data
+   * @param {Object} marker - Marker data
+   * @returns {Object} The same marker data
+   */
+  prepareMarkerData(marker) {
+    return markerDiff.prepareMarkerData(marker);
+  },
+
+  /**
+   * Checks if a marker has changed significantly
+   * @param {Object} oldMarker - Current marker data
+   * @param {Object} newMarker - New marker data
+   * @returns {Boolean} True if marker has changed
+   */
+  hasMarkerChanged(oldMarker, newMarker) {
+    return markerDiff.hasMarkerChanged(oldMarker, newMarker);
   },
 
   /**
@@ -343,27 +493,16 @@ const markerManager = {
    * @param {Array} markersArray - Array to add the marker to
    */
   duplicateMarkerAcrossDateLine(marker, markersArray) {
-    const duplicatedMarker = { ...marker };
-
-    // Assign unique ID for the duplicate
-    duplicatedMarker.id = `${marker.id}_dateline`;
-
-    // Adjust longitude to the other side of the map
-    if (marker.lon < 0) {
-      duplicatedMarker.lon = 180 + (180 + marker.lon);
-    } else {
-      duplicatedMarker.lon = -180 - (180 - marker.lon);
-    }
-
-    markersArray.push(duplicatedMarker);
+    markersArray.push(markerDiff.createDateLineDuplicate(marker));
   },
 
   /**
    * Creates all markers on the map
    * @param {Object} coordinator - Coordinator state
+   * @param {AbortSignal} signal - Aborted when the event is interrupted (optional)
    * @returns {Promise} Promise that resolves when creation is complete
    */
-  async createMarkers(coordinator) {
+  async createMarkers(coordinator, signal = null) {
     if (coordinator.debug) {
       //console.log(`[MarkerManager] Creating ${this.markers.length} markers on the map...`);
     }
@@ -371,8 +510,11 @@ const markerManager = {
     // Clear existing markers
     await this.clearAllMarkers();
 
+    // Pick DOM or canvas markers for the new marker count
+    await this.updateRenderMode(coordinator);
+
     // Create new markers
-    await this.createSpecificMarkers(coordinator, this.markers);
+    await this.createSpecificMarkers(coordinator, this.filterToViewport(coordinator, this.markers), signal);
 
     return Promise.resolve();
   },
@@ -381,9 +523,11 @@ const markerManager = {
    * Creates specific markers on the map
    * @param {Object} coordinator - Coordinator state
    * @param {Array} markerList - List of markers to create
+   * @param {AbortSignal} signal - Aborted when the event is interrupted (optional)
+   * @param {Boolean} keepDataOnAbort - Keep the data of markers not created if interrupted (optional)
    * @returns {Promise} Promise that resolves when creation is complete
    */
-  async createSpecificMarkers(coordinator, markerList) {
+  async createSpecificMarkers(coordinator, markerList, signal = null, keepDataOnAbort = false) {
     // Check if we should use clustering
     const useCluster = coordinator.currentMarkerMode && coordinator.currentMarkerMode.includes('cluster');
 
@@ -392,16 +536,42 @@ const markerManager = {
       await this.toggleClusterMode(coordinator, useCluster);
     }
 
-    // Create each marker
+    const slice = taskUtils.createSlice(this.frameBudget);
+    const isShown = filterUtils.createPredicate(coordinator.markerFilter, coordinator.currentMarkerMode);
+
+    // Markers created since the last yield, added to the layer together
+    let pending = [];
+    const addPending = () => {
+      this.addMarkersToLayer(coordinator, pending);
+      pending = [];
+    };
+
+    // Create each marker, yielding to the browser whenever the frame budget is spent
     for (let i = 0; i < markerList.length; i++) {
       const markerData = markerList[i];
 
+      try {
+        await taskUtils.sliceCheckpoint(signal, slice, () => {
+          addPending();
+          this.setProgress(coordinator, 'map.creatingMarkers', i, markerList.length);
+        });
+      } catch (error) {
+        // Interrupted: forget markers not created yet, so a resumed update sees them as new
+        addPending();
+        if (!keepDataOnAbort) {
+          const notCreated = new Set(markerList.slice(i).map(m => m.id));
+          this.markers = this.markers.filter(m => !notCreated.has(m.id));
+          notCreated.forEach(id => this.spatialIndex.remove(id));
+        }
+        throw error;
+      }
+
       // Normalize longitude
       const lon = geoUtils.normalizeCoordinates(markerData.lon);
 
       // Create marker using renderer
-      const icon = markerRenderer.createMarkerIcon(coordinator, markerData);
-      const marker = L.marker([markerData.lat, lon], {
+      const icon = this.managers.markerRenderer.createMarkerIcon(coordinator, markerData);
+      const marker = this.managers.mapAdapter.createMarker([markerData.lat, lon], {
         icon,
         markerId: markerData.id,
         markerVar: markerData.var,
@@ -409,36 +579,44 @@ const markerManager = {
       });
 
       // Create popup
-      const popupContent = markerRenderer.createMarkerPopup(markerData, lon);
+      const popupContent = this.managers.markerRenderer.createMarkerPopup(markerData, lon);
       marker.bindPopup(popupContent);
 
       // Configure popup events
-      markerRenderer.setupPopupEvents(marker);
+      this.managers.markerRenderer.setupPopupEvents(marker);
+
+      // The marker with an open popup is the selected one
+      marker.on('popupopen', () => {
+        coordinator.selectedMarkerId = markerData.id;
+      });
+      marker.on('popupclose', () => {
+        if (coordinator.selectedMarkerId === markerData.id) {
+          coordinator.selectedMarkerId = null;
+        }
+      });
 
       // Create tooltip
-      const tooltipContent = markerRenderer.createMarkerTooltip(markerData);
+      const tooltipContent = this.managers.markerRenderer.createMarkerTooltip(markerData);
       marker.bindTooltip(tooltipContent, {
         permanent: coordinator.currentTooltipState,
         direction: 'bottom',
         className: 'custom-tooltip'
       });
 
-      // Save marker reference
-      this.markerInstances.set(markerData.id, marker);
-
-      // Add marker to appropriate layer
-      if (useCluster) {
-        this.clusterGroup.addLayer(marker);
+      // Markers hidden by the filter are created but not added to the map
+      if (isShown && !isShown(markerData)) {
+        this.hiddenMarkers.add(markerData.id);
       } else {
-        this.markerLayer.addLayer(marker);
+        this.hiddenMarkers.delete(markerData.id);
       }
 
-      // Update progress
-      if (i % 50 === 0 && coordinator.currentEvent) {
-        coordinator.currentEvent.progress = Math.floor((i / markerList.length) * 100);
-      }
+      // Save marker reference
+      this.markerInstances.set(markerData.id, marker);
+      pending.push(marker);
     }
 
+    addPending();
+
     if (coordinator.debug) {
       //console.log(`[MarkerManager] ${markerList.length} markers created`);
     }
@@ -456,24 +634,57 @@ const markerManager = {
     const markerId = markerData.id;
 
     // Check if marker exists
-    if (!this.markerInstances.has(markerId)) {
+    if (!this.spatialIndex.has(markerId)) {
       console.warn(`[MarkerManager] Attempting to update non-existent marker: ${markerId}`);
       return Promise.resolve();
     }
 
+    // Heading of the last movement (kept while the marker stands still)
+    const previous = this.markers.find(m => m.id === markerId);
+    if (previous) {
+      const heading = motionUtils.getHeading(previous, markerData);
+      markerData.movementHeading = heading !== null ? heading : previous.movementHeading;
+    }
+
+    // Marker far from the viewport: only its data changes, unless it moved near the viewport.
+    // (Markers moving away keep their instance until the next bounds change.)
+    if (!this.markerInstances.has(markerId)) {
+      this.replaceMarkerData(markerData);
+      this.spatialIndex.insert(markerData);
+
+      const markersToCreate = this.filterToViewport(coordinator, [markerData]);
+      if (markersToCreate.length > 0) {
+        await this.createSpecificMarkers(coordinator, markersToCreate);
+      }
+
+      return Promise.resolve();
+    }
+
     // Get marker instance
     const marker = this.markerInstances.get(markerId);
 
-    // Update position if changed
+    // Update position and icon
     const lon = geoUtils.normalizeCoordinates(markerData.lon);
-    marker.setLatLng([markerData.lat, lon]);
-
-    // Update icon if changed
-    const newIcon = markerRenderer.createMarkerIcon(coordinator, markerData);
-    marker.setIcon(newIcon);
+    const newIcon = this.managers.markerRenderer.createMarkerIcon(coordinator, markerData);
+
+    if (this.currentRenderMode === 'canvas' && this.hiddenMarkers.has(markerId)) {
+      marker.setLatLng([markerData.lat, lon]);
+      this.managers.mapAdapter.setCanvasIcon(marker, newIcon);
+    } else if (this.currentRenderMode === 'canvas') {
+      // The canvas layer indexes markers by position: take the marker out before moving it
+      this.managers.mapAdapter.removeFromCanvasLayer(this.canvasLayer, marker);
+      marker.setLatLng([markerData.lat, lon]);
+      this.managers.mapAdapter.setCanvasIcon(marker, newIcon);
+      this.managers.mapAdapter.addToCanvasLayer(this.canvasLayer, [marker]);
+      this.requestCanvasRedraw();
+    } else {
+      this.moveMarker(coordinator, marker, [markerData.lat, lon]);
+      marker.setIcon(newIcon);
+    }
+    marker.options.markerVar = markerData.var;
 
     // Update popup if changed
-    const newPopupContent = markerRenderer.createMarkerPopup(markerData, lon);
+    const newPopupContent = this.managers.markerRenderer.createMarkerPopup(markerData, lon);
 
     // If popup is open, keep it open after updating
     const isOpen = marker.isPopupOpen();
@@ -488,6 +699,7 @@ const markerManager = {
     if (index !== -1) {
       this.markers[index] = markerData;
     }
+    this.spatialIndex.insert(markerData);
 
     return Promise.resolve();
   },
@@ -499,28 +711,58 @@ const markerManager = {
    * @returns {Promise} Promise that resolves when removal is complete
    */
   async removeMarker(coordinator, markerId) {
-    // Check if marker exists
-    if (!this.markerInstances.has(markerId)) {
+    // Check if marker exists (markers far from the viewport only have data)
+    if (!this.markerInstances.has(markerId) && !this.spatialIndex.has(markerId)) {
       return Promise.resolve();
     }
 
-    // Get marker instance
+    this.detachMarker(markerId);
+    this.spatialIndex.remove(markerId);
+    this.hiddenMarkers.delete(markerId);
+    this.clearTrail(markerId);
+
+    // Remove from data
+    this.markers = this.markers.filter(m => m.id !== markerId);
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Removes the instance of a marker from the map, keeping its data
+   * @param {String} markerId - Marker ID
+   */
+  detachMarker(markerId) {
     const marker = this.markerInstances.get(markerId);
 
-    // Remove from appropriate layer
-    if (this.currentClusterMode) {
-      this.clusterGroup.removeLayer(marker);
-    } else {
-      this.markerLayer.removeLayer(marker);
+    if (!marker) {
+      return;
+    }
+
+    this.animations.delete(markerId);
+
+    // Markers hidden by the filter are already off the map
+    if (!this.hiddenMarkers.has(markerId)) {
+      this.removeMarkerFromLayer(marker);
     }
 
     // Remove reference
     this.markerInstances.delete(markerId);
+  },
 
-    // Remove from data
-    this.markers = this.markers.filter(m => m.id !== markerId);
-
-    return Promise.resolve();
+  /**
+   * Removes a marker instance from the layer of the current cluster and render mode
+   * @param {Object} marker - Marker instance
+   */
+  removeMarkerFromLayer(marker) {
+    if (this.currentClusterMode) {
+      this.clusterGroup.removeLayer(marker);
+    } else if (this.currentRenderMode === 'canvas') {
+      this.closeCanvasOverlays(marker);
+      this.managers.mapAdapter.removeFromCanvasLayer(this.canvasLayer, marker);
+      this.requestCanvasRedraw();
+    } else {
+      this.markerLayer.removeLayer(marker);
+    }
   },
 
   /**
@@ -528,6 +770,9 @@ const markerManager = {
    * @returns {Promise} Promise that resolves when clearing is complete
    */
   async clearAllMarkers() {
+    // Markers may be moved to another layer: put them at their final position first
+    this.finishAnimations();
+
     // Clear layers
     if (this.markerLayer) {
       this.markerLayer.clearLayers();
@@ -537,6 +782,12 @@ const markerManager = {
       this.clusterGroup.clearLayers();
     }
 
+    // The canvas layer is only on the map in canvas mode
+    if (this.canvasLayer && this.currentRenderMode === 'canvas') {
+      this.markerInstances.forEach(marker => this.closeCanvasOverlays(marker));
+      this.canvasLayer.clearLayers();
+    }
+
     // Clear references
     this.markerInstances.clear();
 
@@ -559,6 +810,11 @@ const markerManager = {
       return Promise.resolve();
     }
 
+    // Clusters are DOM markers
+    if (enable) {
+      await this.setRenderMode(coordinator, 'dom');
+    }
+
     // Save all current markers
     const currentMarkers = [...this.markerInstances.values()];
 
@@ -568,9 +824,21 @@ const markerManager = {
     if (enable) {
       // Create cluster group if it doesn't exist
       if (!this.clusterGroup) {
-        this.clusterGroup = L.markerClusterGroup({
+        this.clusterGroup = this.managers.mapAdapter.createClusterGroup({
           maxClusterRadius: 40,
-          disableClusteringAtZoom: 10
+          disableClusteringAtZoom: 10,
+          iconCreateFunction: cluster => this.managers.markerRenderer.createClusterIcon(this.mapCoordinator, cluster)
+        });
+
+        // Hovering a cluster shows what it contains
+        this.clusterGroup.on('clustermouseover', e => {
+          e.layer.bindTooltip(this.managers.markerRenderer.createClusterTooltip(this.mapCoordinator, e.layer), {
+            direction: 'top',
+            className: 'custom-tooltip'
+          }).openTooltip();
+        });
+        this.clusterGroup.on('clustermouseout', e => {
+          e.layer.unbindTooltip();
         });
 
         // Add group to map
@@ -579,7 +847,9 @@ const markerManager = {
 
       // Add markers to cluster
       for (const marker of currentMarkers) {
-        this.clusterGroup.addLayer(marker);
+        if (!this.hiddenMarkers.has(marker.options.markerId)) {
+          this.clusterGroup.addLayer(marker);
+        }
         this.markerInstances.set(marker.options.markerId, marker);
       }
     } else {
@@ -588,11 +858,18 @@ const markerManager = {
         this.map.removeLayer(this.clusterGroup);
       }
 
-      // Add markers to normal layer
+      this.currentClusterMode = false;
+
       for (const marker of currentMarkers) {
-        this.markerLayer.addLayer(marker);
         this.markerInstances.set(marker.options.markerId, marker);
       }
+
+      // Without clusters, many markers are drawn on a canvas instead of the normal layer
+      if (this.chooseRenderMode(coordinator, this.countShownMarkers(coordinator)) === 'canvas') {
+        await this.setRenderMode(coordinator, 'canvas');
+      } else {
+        this.addMarkersToLayer(coordinator, currentMarkers);
+      }
     }
 
     // Update state
@@ -605,9 +882,10 @@ const markerManager = {
    * Updates marker display mode
    * @param {Object} coordinator - Coordinator state
    * @param {String} mode - New mode ('num_state', 'icon_state', 'cluster', etc.)
+   * @param {AbortSignal} signal - Aborted when the event is interrupted (optional)
    * @returns {Promise} Promise that resolves when mode change is complete
    */
-  async updateMarkerMode(coordinator, mode) {
+  async updateMarkerMode(coordinator, mode, signal = null) {
     if (coordinator.debug) {
       //console.log(`[MarkerManager] Updating display mode to: ${mode}`);
     }
@@ -616,8 +894,8 @@ const markerManager = {
     coordinator.currentMarkerMode = mode;
 
     // Clear icon cache to force regeneration
-    if (markerRenderer && typeof markerRenderer.clearIconCache === 'function') {
-      markerRenderer.clearIconCache();
+    if (this.managers.markerRenderer && typeof this.managers.markerRenderer.clearIconCache === 'function') {
+      this.managers.markerRenderer.clearIconCache();
     }
 
     // Enable/disable clustering based on mode
@@ -639,20 +917,27 @@ const markerManager = {
 
     // Update style for all markers
     let updatedCount = 0;
+    let index = 0;
+    const total = this.markerInstances.size;
+    const dataById = this.getMarkerDataById();
+    const slice = taskUtils.createSlice(this.frameBudget);
 
     for (const [id, marker] of this.markerInstances.entries()) {
-      const markerData = this.markers.find(m => m.id === id);
+      await taskUtils.sliceCheckpoint(signal, slice, () => this.setProgress(coordinator, 'map.updatingIcons', index, total));
+      index++;
+
+      const markerData = dataById.get(id);
       if (markerData) {
         try {
           // Create new icon with updated mode
-          const newIcon = markerRenderer.createMarkerIcon(coordinator, markerData);
-          marker.setIcon(newIcon);
+          const newIcon = this.managers.markerRenderer.createMarkerIcon(coordinator, markerData);
+          this.setMarkerIcon(marker, newIcon);
           updatedCount++;
 
           // Update popup if open
           if (marker.isPopupOpen()) {
             const lon = markerData.lon;
-            const newPopupContent = markerRenderer.createMarkerPopup(markerData, lon);
+            const newPopupContent = this.managers.markerRenderer.createMarkerPopup(markerData, lon);
             marker.setPopupContent(newPopupContent);
           }
         } catch (error) {
@@ -661,6 +946,11 @@ const markerManager = {
       }
     }
 
+    this.refreshClusterIcons();
+
+    // The value range of the filter refers to the mode
+    this.applyMarkerFilter(coordinator);
+
     if (coordinator.debug) {
       //console.log(`[MarkerManager] ${updatedCount} markers updated to mode ${mode}`);
     }
@@ -668,6 +958,559 @@ const markerManager = {
     return Promise.resolve();
   },
 
+  /**
+   * Redraws the icons of the clusters holding the given markers, as cluster
+   * icons depend on the states of their markers
+   * @param {Array} markers - Changed marker instances (default: all clusters)
+   */
+  refreshClusterIcons(markers = null) {
+    if (!this.clusterGroup || !this.currentClusterMode || typeof this.clusterGroup.refreshClusters !== 'function') {
+      return;
+    }
+
+    if (markers && markers.length === 0) {
+      return;
+    }
+
+    this.clusterGroup.refreshClusters(markers || undefined);
+  },
+
+  /**
+   * Moves a marker to a new position, animating the movement if enabled
+   * (canvas and clustered markers always jump, as every step would re-index them)
+   * @param {Object} coordinator - Coordinator state
+   * @param {Object} marker - Marker instance
+   * @param {Array} latLng - New position [lat, lon]
+   */
+  moveMarker(coordinator, marker, latLng) {
+    const markerId = marker.options.markerId;
+    const current = marker.getLatLng();
+
+    this.animations.delete(markerId);
+
+    const moved = current.lat !== latLng[0] || current.lng !== latLng[1];
+    const animate = moved && coordinator.animateMovement && !this.currentClusterMode && this.currentRenderMode === 'dom' &&
+      geoUtils.calculateDistance(current.lat, current.lng, latLng[0], latLng[1]) <= this.maxAnimatedDistance;
+
+    if (!animate) {
+      marker.setLatLng(latLng);
+      return;
+    }
+
+    // A new position during an animation continues from where the marker is
+    this.animations.set(markerId, {
+      marker,
+      from: [current.lat, current.lng],
+      to: latLng,
+      start: taskUtils.now()
+    });
+
+    this.runAnimations();
+  },
+
+  /**
+   * Steps all movement animations once per frame until they end. Open
+   * popups and tooltips follow, as they are moved with their marker.
+   * @returns {Promise} Promise that resolves when no animation is left
+   */
+  async runAnimations() {
+    if (this.animationRunning) {
+      return Promise.resolve();
+    }
+
+    this.animationRunning = true;
+
+    while (this.animations.size > 0) {
+      await taskUtils.yieldToFrame();
+
+      const time = taskUtils.now();
+
+      for (const [markerId, animation] of this.animations.entries()) {
+        const t = Math.min((time - animation.start) / this.animationDuration, 1);
+
+        if (t >= 1) {
+          animation.marker.setLatLng(animation.to);
+          this.animations.delete(markerId);
+        } else {
+          animation.marker.setLatLng(motionUtils.interpolate(animation.from, animation.to, motionUtils.easeInOut(t)));
+        }
+      }
+    }
+
+    this.animationRunning = false;
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Ends all movement animations, putting markers at their new position
+   */
+  finishAnimations() {
+    this.animations.forEach(animation => animation.marker.setLatLng(animation.to));
+    this.animations.clear();
+  },
+
+  /**
+   * Adds the new position of a moving marker to its trail
+   * @param {Object} coordinator - Coordinator state
+   * @param {Object} previous - Current marker data (optional)
+   * @param {Object} markerData - New marker data
+   */
+  recordTrailPoint(coordinator, previous, markerData) {
+    // Date line duplicates share the trail of their marker
+    if (!previous || markerDiff.isDateLineDuplicate(markerData.id) ||
+      (previous.lat === markerData.lat && previous.lon === markerData.lon)) {
+      return;
+    }
+
+    let trail = this.trails.get(markerData.id);
+
+    if (!trail) {
+      trail = [{ lat: previous.lat, lon: geoUtils.normalizeCoordinates(previous.lon) }];
+      this.trails.set(markerData.id, trail);
+    }
+
+    trailUtils.addPoint(trail, markerData, this.trailLength);
+    this.drawTrail(coordinator, markerData.id);
+  },
+
+  /**
+   * Checks if the trail of a marker is shown
+   * @param {Object} coordinator - Coordinator state
+   * @param {String} markerId - Marker ID
+   * @returns {Boolean} True if shown
+   */
+  isTrailShown(coordinator, markerId) {
+    return this.trailToggles.has(markerId) ? this.trailToggles.get(markerId) : !!coordinator.showTrails;
+  },
+
+  /**
+   * Draws (or hides) the trail of a marker as fading line segments
+   * @param {Object} coordinator - Coordinator state
+   * @param {String} markerId - Marker ID
+   */
+  drawTrail(coordinator, markerId) {
+    this.removeTrailLines(markerId);
+
+    const trail = this.trails.get(markerId);
+
+    if (!trail || trail.length < 2 || !this.isTrailShown(coordinator, markerId)) {
+      return;
+    }
+
+    if (!this.trailLayer) {
+      this.trailLayer = this.managers.mapAdapter.createLayer();
+      this.map.addLayer(this.trailLayer);
+    }
+
+    const { color, weight, minOpacity, maxOpacity } = this.trailStyle;
+    const lines = trailUtils.buildSegments(trail, minOpacity, maxOpacity).map(segment =>
+      this.managers.mapAdapter.createPolyline(segment.latLngs, {
+        color,
+        weight,
+        opacity: segment.opacity,
+        interactive: false
+      })
+    );
+
+    lines.forEach(line => this.trailLayer.addLayer(line));
+    this.trailLines.set(markerId, lines);
+  },
+
+  /**
+   * Removes the lines drawn for the trail of a marker
+   * @param {String} markerId - Marker ID
+   */
+  removeTrailLines(markerId) {
+    const lines = this.trailLines.get(markerId);
+
+    if (lines) {
+      lines.forEach(line => this.trailLayer.removeLayer(line));
+      this.trailLines.delete(markerId);
+    }
+  },
+
+  /**
+   * Forgets the trail of a marker
+   * @param {String} markerId - Marker ID
+   */
+  clearTrail(markerId) {
+    this.removeTrailLines(markerId);
+    this.trails.delete(markerId);
+    this.trailToggles.delete(markerId);
+  },
+
+  /**
+   * Shows or hides the trails of all markers (clearing per-marker choices)
+   * @param {Object} coordinator - Coordinator state
+   * @param {Boolean} enabled - If trails are shown
+   * @returns {Promise} Promise that resolves when trails are redrawn
+   */
+  async setTrailsEnabled(coordinator, enabled) {
+    coordinator.showTrails = enabled;
+    this.trailToggles.clear();
+
+    this.trails.forEach((trail, markerId) => this.drawTrail(coordinator, markerId));
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Shows or hides the trail of one marker
+   * @param {Object} coordinator - Coordinator state
+   * @param {String} markerId - Marker ID
+   * @param {Boolean} enabled - If the trail is shown (default: the opposite of now)
+   * @returns {Promise} Promise that resolves when the trail is redrawn
+   */
+  async toggleMarkerTrail(coordinator, markerId, enabled) {
+    // Popups of date line duplicates toggle the trail of their marker
+    markerId = markerDiff.getOriginalId(markerId);
+
+    const shown = typeof enabled === 'boolean' ? enabled : !this.isTrailShown(coordinator, markerId);
+
+    this.trailToggles.set(markerId, shown);
+    this.drawTrail(coordinator, markerId);
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Chooses between DOM and canvas markers
+   * @param {Object} coordinator - Coordinator state
+   * @param {Number} markerCount - Number of markers to show
+   * @returns {String} 'dom' or 'canvas'
+   */
+  chooseRenderMode(coordinator, markerCount) {
+    // Cluster mode always uses DOM markers
+    if (coordinator.currentMarkerMode && coordinator.currentMarkerMode.includes('cluster')) {
+      return 'dom';
+    }
+
+    if (this.renderMode !== 'auto') {
+      return this.renderMode;
+    }
+
+    // Go back to DOM markers only well below the threshold, so counts around it don't switch modes on every update
+    const threshold = this.currentRenderMode === 'canvas' ? this.canvasThreshold * 0.8 : this.canvasThreshold;
+
+    return markerCount > threshold ? 'canvas' : 'dom';
+  },
+
+  /**
+   * Switches between DOM and canvas markers if the marker count calls for it
+   * @param {Object} coordinator - Coordinator state
+   * @returns {Promise} Promise that resolves when markers are on the right layer
+   */
+  async updateRenderMode(coordinator) {
+    await this.setRenderMode(coordinator, this.chooseRenderMode(coordinator, this.countShownMarkers(coordinator)));
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Moves all markers to DOM or canvas rendering, replacing their icons
+   * @param {Object} coordinator - Coordinator state
+   * @param {String} mode - 'dom' or 'canvas'
+   * @returns {Promise} Promise that resolves when the mode change is complete
+   */
+  async setRenderMode(coordinator, mode) {
+    if (mode === this.currentRenderMode) {
+      return Promise.resolve();
+    }
+
+    if (coordinator.debug) {
+      //console.log(`[MarkerManager] Switching to ${mode} rendering for ${this.markerInstances.size} markers`);
+    }
+
+    const previousMode = this.currentRenderMode;
+    const currentMarkers = [...this.markerInstances.values()];
+
+    await this.clearAllMarkers();
+
+    if (mode === 'canvas') {
+      if (!this.canvasLayer) {
+        this.canvasLayer = this.managers.mapAdapter.createCanvasLayer();
+      }
+      this.map.addLayer(this.canvasLayer);
+    } else if (this.canvasLayer) {
+      this.map.removeLayer(this.canvasLayer);
+    }
+
+    this.currentRenderMode = mode;
+
+    // Canvas markers need image icons, DOM markers HTML icons
+    if (this.managers.markerRenderer && typeof this.managers.markerRenderer.clearIconCache === 'function') {
+      this.managers.markerRenderer.clearIconCache();
+    }
+
+    const dataById = this.getMarkerDataById();
+
+    currentMarkers.forEach(marker => {
+      const markerData = dataById.get(marker.options.markerId);
+
+      if (markerData) {
+        const icon = this.managers.markerRenderer.createMarkerIcon(coordinator, markerData);
+
+        // Markers taken off a canvas keep their map reference, so setIcon would build a DOM icon
+        if (previousMode === 'canvas') {
+          this.managers.mapAdapter.setCanvasIcon(marker, icon);
+        } else {
+          marker.setIcon(icon);
+        }
+      }
+
+      this.markerInstances.set(marker.options.markerId, marker);
+    });
+
+    this.addMarkersToLayer(coordinator, currentMarkers);
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Adds markers to the layer of the current cluster and render mode
+   * @param {Object} coordinator - Coordinator state
+   * @param {Array} markers - Marker instances
+   */
+  addMarkersToLayer(coordinator, markers) {
+    if (this.hiddenMarkers.size > 0) {
+      markers = markers.filter(marker => !this.hiddenMarkers.has(marker.options.markerId));
+    }
+
+    if (this.currentClusterMode) {
+      markers.forEach(marker => this.clusterGroup.addLayer(marker));
+    } else if (this.currentRenderMode === 'canvas') {
+      this.managers.mapAdapter.addToCanvasLayer(this.canvasLayer, markers);
+
+      // Permanent tooltips open when a marker is added to the map, which canvas markers never are
+      if (coordinator.currentTooltipState) {
+        markers.forEach(marker => marker.openTooltip());
+      }
+    } else {
+      markers.forEach(marker => this.markerLayer.addLayer(marker));
+    }
+  },
+
+  /**
+   * Changes the icon of a marker on the current layer
+   * @param {Object} marker - Marker instance
+   * @param {Object} icon - New icon
+   */
+  setMarkerIcon(marker, icon) {
+    if (this.currentRenderMode === 'canvas') {
+      this.managers.mapAdapter.setCanvasIcon(marker, icon);
+      this.requestCanvasRedraw();
+    } else {
+      marker.setIcon(icon);
+    }
+  },
+
+  /**
+   * Closes the popup and tooltip of a canvas marker, which are otherwise
+   * closed when a marker leaves the map
+   * @param {Object} marker - Marker instance
+   */
+  closeCanvasOverlays(marker) {
+    marker.closePopup();
+    marker.closeTooltip();
+  },
+
+  /**
+   * Redraws the canvas layer on the next frame (several changes share one redraw)
+   */
+  requestCanvasRedraw() {
+    if (this.canvasRedrawPending || !this.canvasLayer) {
+      return;
+    }
+
+    this.canvasRedrawPending = true;
+
+    taskUtils.yieldToFrame().then(() => {
+      this.canvasRedrawPending = false;
+
+      if (this.currentRenderMode === 'canvas') {
+        this.managers.mapAdapter.redrawCanvasLayer(this.canvasLayer);
+      }
+    });
+  },
+
+  /**
+   * Gets the area where markers get instances when filtering by bounds
+   * @param {Object} coordinator - Coordinator state
+   * @returns {Object|null} Padded viewport {north, south, east, west}, or null if all markers get instances
+   */
+  getViewportBounds(coordinator) {
+    if (!coordinator.filterByBounds) {
+      return null;
+    }
+
+    const bounds = typeof this.map.getBounds === 'function' ? this.map.getBounds() : coordinator.currentBounds;
+
+    if (!bounds) {
+      return null;
+    }
+
+    return geoUtils.padBounds(geoUtils.convertLeafletBounds(bounds), this.boundsPadding);
+  },
+
+  /**
+   * Keeps the markers that should get an instance
+   * @param {Object} coordinator - Coordinator state
+   * @param {Array} markerList - Marker data
+   * @returns {Array} Markers near the viewport (all of them without bounds filtering)
+   */
+  filterToViewport(coordinator, markerList) {
+    const viewport = this.getViewportBounds(coordinator);
+
+    if (!viewport) {
+      return markerList;
+    }
+
+    const parts = geoUtils.splitBoundsAtDateLine(viewport);
+
+    return markerList.filter(m => {
+      const lon = geoUtils.normalizeCoordinates(m.lon);
+      return parts.some(part => geoUtils.isPointInBounds(m.lat, lon, part));
+    });
+  },
+
+  /**
+   * Counts the markers that get an instance
+   * @param {Object} coordinator - Coordinator state
+   * @returns {Number} Marker count
+   */
+  countShownMarkers(coordinator) {
+    const viewport = this.getViewportBounds(coordinator);
+
+    return viewport ? this.spatialIndex.search(viewport).size : this.markers.length;
+  },
+
+  /**
+   * Turns bounds filtering on or off, creating or removing marker instances to match
+   * @param {Object} coordinator - Coordinator state
+   * @param {Boolean} enabled - If only markers near the viewport get instances
+   * @param {AbortSignal} signal - Aborted when the event is interrupted (optional)
+   * @returns {Promise} Promise that resolves when instances match the viewport
+   */
+  async setFilterByBounds(coordinator, enabled, signal = null) {
+    coordinator.filterByBounds = enabled;
+
+    await this.syncViewport(coordinator, signal);
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Creates instances for markers that came near the viewport and removes
+   * those of markers far from it, keeping their data
+   * @param {Object} coordinator - Coordinator state
+   * @param {AbortSignal} signal - Aborted when the event is interrupted (optional)
+   * @returns {Promise} Promise that resolves when instances match the viewport
+   */
+  async syncViewport(coordinator, signal = null) {
+    const viewport = this.getViewportBounds(coordinator);
+    const dataById = this.getMarkerDataById();
+
+    // Without bounds filtering every marker has an instance
+    const shownIds = viewport ? this.spatialIndex.search(viewport) : new Set(dataById.keys());
+
+    let index = 0;
+
+    for (const markerId of [...this.markerInstances.keys()]) {
+      await taskUtils.checkpoint(signal, index++, this.chunkSize);
+
+      // The marker with an open popup stays
+      if (!shownIds.has(markerId) && markerId !== coordinator.selectedMarkerId) {
+        this.detachMarker(markerId);
+      }
+    }
+
+    // Switch render mode first, so new markers get the right icons
+    await this.updateRenderMode(coordinator);
+
+    // Only the markers in view are looked up, not the whole marker set
+    const markersToCreate = [];
+
+    shownIds.forEach(markerId => {
+      const markerData = dataById.get(markerId);
+
+      if (markerData && !this.markerInstances.has(markerId)) {
+        markersToCreate.push(markerData);
+      }
+    });
+
+    if (markersToCreate.length > 0) {
+      // Markers not created if interrupted stay as data, the next bounds change creates them
+      await this.createSpecificMarkers(coordinator, markersToCreate, signal, true);
+    }
+
+    if (coordinator.debug) {
+      //console.log(`[MarkerManager] Viewport has ${this.markerInstances.size} of ${this.markers.length} markers`);
+    }
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Creates the instance of a marker far from the viewport (e.g. to select it)
+   * @param {Object} coordinator - Coordinator state
+   * @param {String|Number} markerId - Marker ID (IDs read from a URL are strings, so they are matched as strings)
+   * @returns {Promise} Promise that resolves with the marker instance, or null if there is no such marker
+   */
+  async materializeMarker(coordinator, markerId) {
+    const markerData = this.markers.find(m => String(m.id) === String(markerId));
+
+    if (!markerData) {
+      return Promise.resolve(null);
+    }
+
+    if (!this.markerInstances.has(markerData.id)) {
+      await this.createSpecificMarkers(coordinator, [markerData]);
+    }
+
+    return Promise.resolve(this.getMarkerById(markerData.id));
+  },
+
+  /**
+   * Indexes current marker data by ID
+   * @returns {Map} Marker data by ID
+   */
+  getMarkerDataById() {
+    const dataById = new Map();
+    this.markers.forEach(m => dataById.set(m.id, m));
+    return dataById;
+  },
+
+  /**
+   * Reports the progress of a long step of the running event (shown in the progress overlay)
+   * @param {Object} coordinator - Coordinator state
+   * @param {String} label - Translation key of the step being done (e.g. 'map.creatingMarkers')
+   * @param {Number} done - Items done
+   * @param {Number} total - Total items
+   */
+  setProgress(coordinator, label, done, total) {
+    // Work outside an event has no progress to show
+    if (!coordinator.currentEvent || !coordinator.currentEvent.type) {
+      return;
+    }
+
+    coordinator.currentEvent.progressLabel = label;
+    coordinator.currentEvent.progress = total > 0 ? Math.floor((done / total) * 100) : 100;
+  },
+
+  /**
+   * Gets a copy of current marker data as a full data frame
+   * (date line duplicates are left out, they are recreated when applied)
+   * @returns {Object} Data in {list} format
+   */
+  getSnapshotData() {
+    return {
+      list: this.markers
+        .filter(m => !markerDiff.isDateLineDuplicate(m.id))
+        .map(m => ({ ...m }))
+    };
+  },
+
   /**
    * Gets a marker by ID
    * @param {String} markerId - Marker ID
@@ -684,6 +1527,77 @@ const markerManager = {
    */
   filterMarkers(filterFn) {
     return this.markers.filter(filterFn);
+  },
+
+  /**
+   * Sets the marker filter and applies it
+   * @param {Object} coordinator - Coordinator state
+   * @param {Object} filter - Filter {states, types, name, min, max} (see filterUtils.js)
+   * @returns {Promise} Promise that resolves when the filter is applied
+   */
+  async setMarkerFilter(coordinator, filter) {
+    coordinator.markerFilter = filterUtils.normalize(filter);
+    this.applyMarkerFilter(coordinator);
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Hides the markers not matching coordinator.markerFilter and shows the
+   * others again. Hidden markers keep their instances, so showing them
+   * doesn't recreate them.
+   * @param {Object} coordinator - Coordinator state
+   */
+  applyMarkerFilter(coordinator) {
+    const isShown = filterUtils.createPredicate(coordinator.markerFilter, coordinator.currentMarkerMode);
+    const shown = isShown ? this.filterMarkers(isShown) : this.markers;
+    const shownIds = new Set(shown.map(m => m.id));
+    const hidden = new Set(this.markers.filter(m => !shownIds.has(m.id)).map(m => m.id));
+
+    // Only instances whose visibility changed move between the map and memory
+    const markersToShow = [];
+    this.markerInstances.forEach((marker, id) => {
+      if (hidden.has(id) && !this.hiddenMarkers.has(id)) {
+        this.animations.delete(id);
+        this.removeMarkerFromLayer(marker);
+      } else if (!hidden.has(id) && this.hiddenMarkers.has(id)) {
+        markersToShow.push(marker);
+      }
+    });
+
+    this.hiddenMarkers = hidden;
+    this.addMarkersToLayer(coordinator, markersToShow);
+
+    this.updateFilterInfo(coordinator, shown);
+  },
+
+  /**
+   * Updates the marker counts and the choices of the filter panel
+   * (date line duplicates are left out)
+   * @param {Object} coordinator - Coordinator state
+   * @param {Array} shown - Marker data matching the filter
+   */
+  updateFilterInfo(coordinator, shown) {
+    const isOriginal = m => !markerDiff.isDateLineDuplicate(m.id);
+    const originals = this.markers.filter(isOriginal);
+
+    coordinator.filterCounts = {
+      shown: shown.filter(isOriginal).length,
+      total: originals.length
+    };
+
+    const types = [...new Set(originals.map(m => m.type).filter(Boolean))].sort();
+
+    // States are only known in state modes, where 'var' holds them
+    const states = clusterUtils.getBaseMode(coordinator.currentMarkerMode) === 'num_state'
+      ? [...new Set(originals.map(m => Number(m.var)).filter(state => !isNaN(state)))].sort((a, b) => a - b)
+      : coordinator.filterOptions.states;
+
+    // Replaced only on change, so the panel isn't re-rendered on every update
+    if (types.join() !== coordinator.filterOptions.types.join() ||
+      states.join() !== coordinator.filterOptions.states.join()) {
+      coordinator.filterOptions = { types, states };
+    }
   }
 };
 
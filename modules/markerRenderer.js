@@ -3,11 +3,22 @@
  * Manages marker rendering, including icons and popups
  */
 
-import L from 'leaflet';
-import iconFactory from '../utilsMap/iconFactory.js';
+import markerColors from '../utilsMap/markerColors.js';
+import clusterUtils from '../utilsMap/clusterUtils.js';
 
 const markerRenderer = {
+  /**
+   * Creates an isolated marker renderer for one map
+   * @returns {Object} New marker renderer instance
+   */
+  create() {
+    return Object.assign(Object.create(markerRenderer), {
+      iconCache: new Map()
+    });
+  },
+
   // References
+  managers: null, // Managers of the same map (set by mapManagers)
   mapCoordinator: null,
   map: null,
   componentInstance: null, // To access component methods like $const
@@ -15,11 +26,14 @@ const markerRenderer = {
   // Icon cache to improve performance
   iconCache: new Map(),
 
+  // Heading indicators are drawn in steps of this many degrees (keeps the icon cache small)
+  headingStep: 10,
+
   /**
    * Initializes the renderer
    * @param {Object} coordinator - Coordinator instance
-   * @param {Object} mapInstance - Leaflet map instance
-   * @param {Object} component - Vue component instance (to access $const)
+   * @param {Object} mapInstance - Map instance (Leaflet or in-memory, see modules/adapters)
+   * @param {Object} component - Vue component instance (to access $const), or a headless host
    */
   initialize(coordinator, mapInstance, component) {
     this.mapCoordinator = coordinator;
@@ -39,7 +53,7 @@ const markerRenderer = {
    * @param {Object} coordinator - Coordinator state
    * @param {Object} markerData - Marker data
    * @param {Object} iconSizes - Size configuration (optional)
-   * @returns {Object} Leaflet icon
+   * @returns {Object} Icon created by the map adapter
    */
   createMarkerIcon(coordinator, markerData, iconSizes = null) {
     // Use provided sizes or coordinator's sizes
@@ -50,23 +64,17 @@ const markerRenderer = {
     const iconConfig = isSatellite ? sizes.satellite : sizes.icon;
 
     // Determine marker color based on mode
-    let fillColor;
-
-    // Determine color based on marker mode
     ////console.log(`%c createMarkerIcon: ${coordinator.currentMarkerMode}`, 'background: #222; color: #bada55');
-    if (coordinator.currentMarkerMode === 'num_state') {
-      // State mode - Use specific state color from constant
-      fillColor = this.getMarkerColor(markerData.var, coordinator);
-    } else {
-      // Other modes - Use interpolation based on value
-      const modeMax = coordinator.markerModeMax || 100;
-      fillColor = this.getValueColor(markerData.var, modeMax, coordinator.currentMarkerMode);
-    }
+    const fillColor = markerColors.getMarkerFillColor(markerData, coordinator.currentMarkerMode,
+      coordinator.markerModeMax, this.getStateColorTables(coordinator));
     // Create unique cache key including size and color
     const sizeKey = `${iconConfig.size[0]}x${iconConfig.size[1]}`;
     const colorKey = fillColor.replace('#', '');
     const modeKey = coordinator.currentMarkerMode || 'num_state';
-    const cacheKey = `${markerData.id}_${markerData.iconNumber}_${colorKey}_${modeKey}_${sizeKey}`;
+    const renderKey = this.isCanvasRendering() ? 'canvas' : 'dom';
+    const heading = this.getIconHeading(coordinator, markerData);
+    const headingKey = heading === null ? 'none' : heading;
+    const cacheKey = `${markerData.id}_${markerData.iconNumber}_${colorKey}_${modeKey}_${sizeKey}_${renderKey}_${headingKey}`;
 
     if (!(this.iconCache instanceof Map)) {
       // If iconCache is not a Map, reinitialize it
@@ -78,29 +86,30 @@ const markerRenderer = {
       return this.iconCache.get(cacheKey);
     }
 
-    // Get the original SVG element
-    const iconElement = document.getElementById('icon_' + markerData.iconNumber);
+    // Get the shape of the original SVG icon
+    const iconShape = this.managers.mapAdapter.getIconShape(markerData.iconNumber);
 
-    if (!iconElement) {
+    if (!iconShape) {
       // Fallback to circle if icon not found
       const size = Math.max(parseInt(iconConfig.size[0], 10), 12);
-      const svgCircle = `
-       <svg xmlns="http://www.w3.org/2000/svg" 
-            width="${size}" 
-            height="${size}" 
-            viewBox="0 0 ${size} ${size}">
+      const circle = `
          <circle cx="${size / 2}" 
                  cy="${size / 2}" 
                  r="${size / 2 - 2}" 
                  fill="${fillColor}" 
                  stroke="white" 
-                 stroke-width="2"/>
+                 stroke-width="2"/>`;
+      const svgCircle = heading !== null
+        ? this.createHeadingSvg(size, size, `0 0 ${size} ${size}`, circle, heading, fillColor)
+        : `
+       <svg xmlns="http://www.w3.org/2000/svg" 
+            width="${size}" 
+            height="${size}" 
+            viewBox="0 0 ${size} ${size}">${circle}
        </svg>
      `;
 
-      const fallbackIcon = L.divIcon({
-        className: 'custom-marker',
-        html: svgCircle,
+      const fallbackIcon = this.createSvgIcon(svgCircle, {
         iconSize: [size, size],
         iconAnchor: [size / 2, size / 2],
         popupAnchor: [0, -size / 2]
@@ -112,20 +121,21 @@ const markerRenderer = {
       return fallbackIcon;
     }
 
-    // Get the original SVG's viewBox to maintain proportion
-    const originalViewBox = iconElement.getAttribute('viewBox') || "0 0 24 24";
+    // Use the original SVG's viewBox to maintain proportion
+    const originalViewBox = iconShape.viewBox;
 
     // Determine final size (ensure numeric values)
     const width = parseInt(iconConfig.size[0], 10);
     const height = parseInt(iconConfig.size[1], 10);
 
-    // Get path from original icon
-    const pathElement = iconElement.querySelector('path');
-    const pathD = pathElement ? pathElement.getAttribute('d') : '';
+    // Path from original icon
+    const pathD = iconShape.path;
 
     // SOLUTION: Create a new SVG instead of cloning the existing one
     // IMPORTANT: Use original viewBox but adjust size according to zoom
-    const svgString = `
+    const svgString = heading !== null
+      ? this.createHeadingSvg(width, height, originalViewBox, `<path fill="${fillColor}" d="${pathD}" />`, heading, fillColor)
+      : `
      <svg xmlns="http://www.w3.org/2000/svg" 
           width="${width}" 
           height="${height}" 
@@ -135,10 +145,8 @@ const markerRenderer = {
      </svg>
    `;
 
-    // Create divIcon with SVG
-    const icon = L.divIcon({
-      className: 'custom-marker',
-      html: svgString,
+    // Create icon with SVG
+    const icon = this.createSvgIcon(svgString, {
       iconSize: [width, height],
       iconAnchor: [width / 2, height / 2],
       popupAnchor: [0, -height / 2]
@@ -154,6 +162,137 @@ const markerRenderer = {
     return icon;
   },
 
+  /**
+   * Gets the heading to show on a marker icon
+   * @param {Object} coordinator - Coordinator state
+   * @param {Object} markerData - Marker data
+   * @returns {Number|null} Heading rounded to headingStep, or null if none is shown
+   */
+  getIconHeading(coordinator, markerData) {
+    if (!coordinator.showHeading || typeof markerData.movementHeading !== 'number') {
+      return null;
+    }
+
+    return (Math.round(markerData.movementHeading / this.headingStep) * this.headingStep) % 360;
+  },
+
+  /**
+   * Creates the SVG of an icon with a heading arrow around it (the icon is
+   * shrunk to leave room for the arrow)
+   * @param {Number} width - Icon width
+   * @param {Number} height - Icon height
+   * @param {String} viewBox - View box of the icon content
+   * @param {String} content - Icon SVG content (path, circle...)
+   * @param {Number} heading - Degrees clockwise from north
+   * @param {String} fillColor - Arrow color
+   * @returns {String} SVG markup
+   */
+  createHeadingSvg(width, height, viewBox, content, heading, fillColor) {
+    const arrow = Math.max(Math.round(Math.min(width, height) / 5), 3);
+    const cx = width / 2;
+    const cy = height / 2;
+
+    return `
+     <svg xmlns="http://www.w3.org/2000/svg" 
+          width="${width}" 
+          height="${height}" 
+          viewBox="0 0 ${width} ${height}">
+       <svg x="${arrow}" y="${arrow}" 
+            width="${width - 2 * arrow}" 
+            height="${height - 2 * arrow}" 
+            viewBox="${viewBox}"
+            preserveAspectRatio="xMidYMid meet">${content}
+       </svg>
+       <path d="M ${cx} 0 L ${cx + arrow} ${arrow} L ${cx - arrow} ${arrow} Z" 
+             fill="${fillColor}" 
+             stroke="white" 
+             stroke-width="1" 
+             transform="rotate(${heading} ${cx} ${cy})" />
+     </svg>
+   `;
+  },
+
+  /**
+   * Checks if markers are drawn on a canvas (see markerManager.renderMode)
+   * @returns {Boolean} True if icons must be images
+   */
+  isCanvasRendering() {
+    return !!this.managers && this.managers.markerManager.currentRenderMode === 'canvas';
+  },
+
+  /**
+   * Creates an icon from SVG markup: an HTML icon for DOM markers, or an
+   * image icon with the SVG as data URL for markers drawn on a canvas
+   * @param {String} svgString - SVG markup
+   * @param {Object} options - Icon options {iconSize, iconAnchor, popupAnchor}
+   * @returns {Object} Icon created by the map adapter
+   */
+  createSvgIcon(svgString, options) {
+    if (this.isCanvasRendering()) {
+      return this.managers.mapAdapter.createImageIcon({
+        iconUrl: 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svgString.trim()),
+        ...options
+      });
+    }
+
+    return this.managers.mapAdapter.createIcon({
+      className: 'custom-marker',
+      html: svgString,
+      ...options
+    });
+  },
+
+  /**
+   * Summarizes the markers of a cluster for the current mode
+   * @param {Object} coordinator - Coordinator state
+   * @param {Object} cluster - Marker cluster (see leaflet.markercluster)
+   * @returns {Object} Summary (see clusterUtils.summarize)
+   */
+  getClusterSummary(coordinator, cluster) {
+    const values = cluster.getAllChildMarkers().map(marker => marker.options.markerVar);
+
+    return clusterUtils.summarize(values, coordinator.currentMarkerMode, coordinator.markerModeMax,
+      this.getStateColorTables(coordinator));
+  },
+
+  /**
+   * Creates the icon of a cluster: colored by its worst state (or mean value
+   * in metric modes), with a ring showing its breakdown
+   * @param {Object} coordinator - Coordinator state
+   * @param {Object} cluster - Marker cluster
+   * @returns {Object} Icon created by the map adapter
+   */
+  createClusterIcon(coordinator, cluster) {
+    const summary = this.getClusterSummary(coordinator, cluster);
+
+    return this.managers.mapAdapter.createClusterIcon(summary.count, summary.color, summary.breakdown);
+  },
+
+  /**
+   * Generates HTML for the tooltip of a cluster (counts per state or value range)
+   * @param {Object} coordinator - Coordinator state
+   * @param {Object} cluster - Marker cluster
+   * @returns {String} Tooltip HTML content
+   */
+  createClusterTooltip(coordinator, cluster) {
+    const summary = this.getClusterSummary(coordinator, cluster);
+    const units = coordinator.markerModeUnits || '';
+
+    const rows = summary.breakdown.map(part => {
+      const label = part.state !== undefined
+        ? this.getStateText(part.state)
+        : `${part.from.toFixed(1)}-${part.to.toFixed(1)}${units}`;
+
+      return `<div><span style="color: ${part.color};">&#9679;</span> ${label}: ${part.count}</div>`;
+    });
+
+    if (summary.mean !== undefined && summary.mean !== null) {
+      rows.unshift(`<div>${this.translate('map.average')}: ${summary.mean.toFixed(1)}${units} (${summary.min.toFixed(1)}-${summary.max.toFixed(1)})</div>`);
+    }
+
+    return `<div class="cluster__summary"><strong>${this.translate('map.clusterMarkers', { count: summary.count })}</strong>${rows.join('')}</div>`;
+  },
+
   /**
    * Creates popup HTML content for a marker
    * @param {Object} markerData - Marker data
@@ -177,7 +316,7 @@ const markerRenderer = {
       // For other modes - Color based on value and maximum
       const modeMax = this.mapCoordinator && this.mapCoordinator.markerModeMax ?
         this.mapCoordinator.markerModeMax : 100;
-      hexColor = this.getValueColor(markerData.var, modeMax);
+      hexColor = markerColors.getValueColor(markerData.var, modeMax);
     }
 
     if (isNumStateMode) {
@@ -250,7 +389,7 @@ const markerRenderer = {
     let routerUrl = '/';
 
     if (markerData.type && markerData.id) {
-      dashboardUrl = `${document.location.origin}/object/dashboard/${markerData.type}=${markerData.id}`;
+      dashboardUrl = `${this.managers.mapAdapter.getOrigin()}/object/dashboard/${markerData.type}=${markerData.id}`;
       routerUrl = `/object/dashboard/${markerData.type}=${markerData.id}`;
     }
 
@@ -283,14 +422,16 @@ const markerRenderer = {
           font-weight: bold;
           float: right;
         }
-        .marker__weather {
+        .marker__weather,
+        .marker__trail {
           background-color: #f8f8f8;
           border: 1px solid #ddd;
           padding: 3px 8px;
           cursor: pointer;
           border-radius: 3px;
         }
-        .marker__weather:hover {
+        .marker__weather:hover,
+        .marker__trail:hover {
           background-color: #eee;
         }
         .marker__row--capitalize {
@@ -312,6 +453,7 @@ const markerRenderer = {
               <div class="marker__row marker__row--weather"></div>
               <div class="marker__row">
                 <button value="${markerData.name || 'Marker ' + markerData.i}" class="marker__weather">Request weather</button>
+                <button class="marker__trail">${this.translate('map.trail')}</button>
               </div>
             </div>`;
   },
@@ -325,6 +467,18 @@ const markerRenderer = {
     return `<div class="marker__tooltip">${markerData.name || 'Marker ' + markerData.i}</div>`;
   },
 
+  /**
+   * Translates a text through the component's $t, if available
+   * @param {String} key - Translation key (e.g. 'map.trail')
+   * @param {Object} values - Named values of the text (optional)
+   * @returns {String} Translated text, or the key without a translator
+   */
+  translate(key, values) {
+    return this.componentInstance && this.componentInstance.$t ?
+      this.componentInstance.$t(key, values) :
+      key;
+  },
+
   /**
    * Gets descriptive text for a state
    * @param {Number} state - State value
@@ -364,37 +518,27 @@ const markerRenderer = {
    * @returns {String} Color in hex format
    */
   getMarkerColor(state, coordinator = null) {
-    // Priority 1: Get from coordinator if exists
-    if (coordinator && coordinator.stateColors && coordinator.stateColors[state] !== undefined) {
-      return coordinator.stateColors[state];
-    }
-    // Priority 2: Get from component configuration
+    return markerColors.getStateColor(state, this.getStateColorTables(coordinator));
+  },
+
+  /**
+   * Gets the configured state color tables, in priority order: coordinator,
+   * then component configuration (fallback colors are in markerColors.js)
+   * @param {Object} coordinator - Coordinator state (optional)
+   * @returns {Array} State color tables
+   */
+  getStateColorTables(coordinator = null) {
+    const tables = [coordinator && coordinator.stateColors];
+
     if (this.componentInstance && this.componentInstance.$const) {
       try {
-        const stateColors = this.componentInstance.$const('nms_states_white_numeric');
-        if (stateColors && stateColors[state] !== undefined) {
-          return stateColors[state];
-        }
+        tables.push(this.componentInstance.$const('nms_states_white_numeric'));
       } catch (error) {
         console.warn('[MarkerRenderer] Error getting state color from $const:', error);
       }
     }
 
-    // Priority 3: Predefined fallback colors
-    const stateColors = {
-      0: '#5cb85c', // Normal - Green
-      1: '#f0ad4e', // Warning - Yellow
-      2: '#ff9900', // Alert - Orange
-      3: '#d9534f', // Critical - Red
-      4: '#d9534f', // Unreachable - Red
-      5: '#9900cc', // Special - Purple
-      6: '#0275d8', // Maintenance - Blue
-      7: '#777777', // Inactive - Gray
-      8: '#5bc0de', // Testing - Cyan
-      9: '#292b2c'  // Unknown - Black
-    };
-
-    return stateColors[state] || '#777777';
+    return tables;
   },
 
   /**
@@ -405,42 +549,12 @@ const markerRenderer = {
   * @returns {String} Color in hex format
   */
   getValueColor(value, maxValue, mode = 'default') {
-    // Ensure valid values
-    const safeValue = isNaN(value) ? 0 : value;
-    const safeMax = isNaN(maxValue) || maxValue <= 0 ? 100 : maxValue;
-
-    // Calculate fraction (between 0 and 1)
-    let fraction = Math.max(0, Math.min(1, safeValue / safeMax));
-
-    // Invert if necessary
-    if (mode === 'reverse') {
-      fraction = 1 - fraction;
-    }
-
     // Check if we're in a specific mode
-    if (this.mapCoordinator && this.mapCoordinator.currentMarkerMode) {
-      // Adjust color scheme based on mode
-      if (this.mapCoordinator.currentMarkerMode === 'num_state') {
-        return this.getMarkerColor(value, this.mapCoordinator);
-      }
+    if (this.mapCoordinator && this.mapCoordinator.currentMarkerMode === 'num_state') {
+      return this.getMarkerColor(value, this.mapCoordinator);
     }
 
-    // Interpolation from red to green via yellow
-    let r, g, b;
-    if (fraction < 0.5) {
-      // From red to yellow
-      r = 255;
-      g = Math.round(255 * (fraction * 2));
-      b = 0;
-    } else {
-      // From yellow to green
-      r = Math.round(255 * (1 - (fraction - 0.5) * 2));
-      g = 255;
-      b = 0;
-    }
-
-    // Convert to hex format
-    return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+    return markerColors.getValueColor(value, maxValue, mode);
   },
 
   /**
@@ -481,8 +595,10 @@ const markerRenderer = {
       }
 
       // Remove any cached DOM elements
-      const cachedElements = document.querySelectorAll('.cached-icon-element');
-      cachedElements.forEach(el => el.remove());
+      if (typeof document !== 'undefined') {
+        const cachedElements = document.querySelectorAll('.cached-icon-element');
+        cachedElements.forEach(el => el.remove());
+      }
 
       ////console.log('[MarkerRenderer] Icon cache completely cleared');
     }
@@ -536,6 +652,12 @@ const markerRenderer = {
             });
           }
         }
+        // If it's the trail toggle
+        else if (e.target.classList.contains('marker__trail')) {
+          if (this.componentInstance && typeof this.componentInstance.queueEvent === 'function') {
+            this.componentInstance.queueEvent('toggle_marker_trail', { markerId: marker.options.markerId });
+          }
+        }
         // If it's the dashboard link
         else if (e.target.classList.contains('marker__link')) {
           e.preventDefault();
@@ -3,24 +3,60 @@
  * Manages real-time updates of markers
  */
 
-import markerManager from './markerManager.js';
+import taskUtils from '../utilsMap/taskUtils.js';
 
 const realtimeManager = {
+  /**
+   * Creates an isolated real-time manager for one map
+   * @returns {Object} New real-time manager instance
+   */
+  create() {
+    return Object.assign(Object.create(realtimeManager), {
+      visibilityPolicy: { ...realtimeManager.visibilityPolicy }
+    });
+  },
+
   // References
+  managers: null, // Managers of the same map (set by mapManagers)
   mapCoordinator: null,
   map: null,
+  dataSource: null, // Pluggable source exposing fetchData()
+  transport: null,  // Push transport exposing connect()/disconnect()/isConnected()
 
   // Update state
-  updateTimer: null,
+  updateTimer: null,   // Timer of the next poll, null when none is scheduled
+  isPolling: false,    // Polling started by startUpdates (a poll is scheduled, running or held while hidden)
   lastUpdateTime: null,
+  lastError: null,     // Last update error {message, time}
   isUpdating: false,
+  isPaused: false,     // Paused by the operator
+  lastSequence: null, // Sequence number of the last applied frame (delta protocol)
+  pendingFrame: null, // Coalesced frame buffered while the user interacts with the map
 
   // Configuration
   updateInterval: 5000, // ms between updates (5 seconds default)
-  retryInterval: 10000, // ms to retry after an error
+  retryInterval: 10000, // ms to retry after an error (base of the exponential backoff)
+  maxRetryInterval: 300000, // Upper bound for the backoff delay (5 minutes)
+  retryJitter: 0.2, // Random +/- fraction applied to backoff delays
   maxConsecutiveErrors: 3, // Maximum consecutive errors before pausing
   errorCount: 0, // Consecutive error counter
 
+  // Visibility policy: 'pause', 'throttle' or 'continue' for each situation
+  visibilityPolicy: {
+    hidden: 'pause',          // Browser tab is hidden
+    offscreen: 'throttle',    // Map container is scrolled out of view
+    throttledInterval: 60000, // ms between updates while throttled
+    catchUpOnVisible: true    // Immediate update when the map becomes visible again
+  },
+
+  // Visibility state
+  isDocumentHidden: false,
+  isMapOffscreen: false,
+  pausedByVisibility: false,
+  visibilityMode: 'continue', // Mode of the last visibility change (see handleVisibilityChange)
+  visibilityListener: null,
+  intersectionObserver: null,
+
   /**
    * Initializes the real-time manager
    * @param {Object} coordinator - Coordinator instance
@@ -35,6 +71,9 @@ const realtimeManager = {
       this.updateInterval = coordinator.realtimeInterval * 1000; // Convert to ms
     }
 
+    // Track tab and map container visibility
+    this.setupVisibilityTracking();
+
     if (coordinator.debug) {
       //console.log('[RealtimeManager] Initialized');
     }
@@ -54,11 +93,28 @@ const realtimeManager = {
       this.mapCoordinator.realtimeInterval = options.interval / 1000; // Save in seconds
     }
 
+    // Operator pause wins over automatic restarts (mode changes, etc.)
+    if (this.isPaused) {
+      return;
+    }
+
+    // A connected push transport delivers updates, polling is only a fallback
+    if (this.isTransportConnected()) {
+      this.setRealtimeState('connected');
+      return;
+    }
+
+    // Keep the paused state visible until a probe succeeds
+    this.setRealtimeState(this.errorCount >= this.maxConsecutiveErrors ? 'paused_errors' : 'running');
+
+    this.pausedByVisibility = false;
+
     if (this.mapCoordinator.debug) {
       //console.log(`[RealtimeManager] Starting updates every ${this.updateInterval / 1000} seconds`);
     }
 
     // Start first update immediately
+    this.isPolling = true;
     this.scheduleNextUpdate(0);
   },
 
@@ -71,22 +127,79 @@ const realtimeManager = {
       this.updateTimer = null;
     }
 
+    this.isPolling = false;
+
+    this.setNextUpdateTime(null);
+
+    if (this.isPaused) {
+      this.setRealtimeState('paused');
+    } else {
+      this.setRealtimeState(this.isTransportConnected() ? 'connected' : 'stopped');
+    }
+
     if (this.mapCoordinator.debug) {
       //console.log('[RealtimeManager] Updates stopped');
     }
   },
 
+  /**
+   * Pauses real-time updates until resumeUpdates is called. Push frames
+   * received meanwhile are buffered.
+   */
+  pauseUpdates() {
+    this.isPaused = true;
+    this.stopUpdates();
+  },
+
+  /**
+   * Resumes real-time updates after pauseUpdates
+   */
+  resumeUpdates() {
+    if (!this.isPaused) {
+      return;
+    }
+
+    this.isPaused = false;
+
+    // Apply push frames buffered while paused
+    this.flushPendingFrame();
+
+    this.startUpdates();
+  },
+
   /**
    * Schedules the next update
    * @param {Number} delay - Delay in ms (default is updateInterval)
    */
   scheduleNextUpdate(delay = null) {
-    const nextDelay = delay !== null ? delay : this.updateInterval;
+    let nextDelay = delay !== null ? delay : this.updateInterval;
+
+    // Slow down while the map can't be seen
+    if (this.getVisibilityMode() === 'throttle') {
+      nextDelay = Math.max(nextDelay, this.visibilityPolicy.throttledInterval);
+    }
+
+    this.setNextUpdateTime(Date.now() + nextDelay);
+
+    // A forced update finishing alongside a timer-driven one must not start a second polling chain
+    if (this.updateTimer) {
+      clearTimeout(this.updateTimer);
+    }
 
     this.updateTimer = setTimeout(() => {
-      // Check if map is ready and not being interacted with
-      if (this.mapCoordinator.isReady && !this.mapCoordinator.userInteracting) {
-        this.performUpdate();
+      this.updateTimer = null;
+      this.setNextUpdateTime(null);
+
+      // Stay idle until the map is visible again (handleVisibilityChange resumes)
+      if (this.getVisibilityMode() === 'pause') {
+        this.pausedByVisibility = true;
+        this.setRealtimeState('paused_hidden');
+        return;
+      }
+
+      // Check if map is ready (updates received during interaction are buffered)
+      if (this.mapCoordinator.isReady) {
+        this.performUpdate().then(() => this.continuePolling());
       } else {
         // If not ready, schedule next update
         this.scheduleNextUpdate();
@@ -98,14 +211,17 @@ const realtimeManager = {
    * Performs a data update
    * @param {Object} coordinator - Coordinator state (optional)
    * @param {Object} data - Data to update (optional)
-   * @returns {Promise} Promise that resolves when update is complete
+   * @param {AbortSignal} signal - Aborted when the event is interrupted (optional)
+   * @returns {Promise} Promise that resolves with true if a frame was applied to the map
    */
-  async performUpdate(coordinator = null, data = null) {
+  async performUpdate(coordinator = null, data = null, signal = null) {
     // Use provided coordinator or internal one
     const coord = coordinator || this.mapCoordinator;
 
     // Mark as updating
     this.isUpdating = true;
+    let fetched = false;
+    let applied = false;
 
     try {
       if (coord.debug) {
@@ -115,48 +231,304 @@ const realtimeManager = {
       // If no data provided, fetch it
       if (!data) {
         data = await this.fetchUpdatedData(coord);
-      }
+        fetched = true;
 
-      // If no data, do nothing
-      if (!data) {
-        return Promise.resolve();
+        // A frame held back by an interrupted update goes first
+        if (this.pendingFrame && !coord.userInteracting) {
+          data = data ? this.coalesceFrames(this.takePendingFrame(), data) : this.takePendingFrame();
+        }
       }
 
-      // Update markers
-      await markerManager.updateMarkersFromData(coord, data);
-
-      // Update last update time
-      this.lastUpdateTime = Date.now();
-      coord.lastUpdateTime = this.lastUpdateTime;
+      // If no data, there is nothing new to apply
+      if (data && coord.userInteracting) {
+        // Don't redraw under the user's pointer; apply when the interaction ends
+        this.bufferFrame(data);
+      } else if (data) {
+        // Update markers
+        await this.applyFrame(coord, data, signal);
+        applied = true;
+
+        // Update last update time
+        this.lastUpdateTime = Date.now();
+        coord.lastUpdateTime = this.lastUpdateTime;
+
+        // Keep the offline snapshot in step with live data
+        this.managers.snapshotCache.markFresh(data);
+      }
 
-      // Reset error counter
-      this.errorCount = 0;
+      // Any successful round trip (even an unchanged response) ends the backoff
+      this.handleUpdateSuccess();
 
       if (coord.debug) {
         //console.log('[RealtimeManager] Update completed');
       }
     } catch (error) {
-      console.error('[RealtimeManager] Error during update:', error);
+      // Interrupted by another event: not a failure, the event resumes later.
+      // Fetched data is kept, as the resumed fetch may only get "not modified".
+      if (taskUtils.isAbortError(error)) {
+        if (fetched && data) {
+          this.pendingFrame = this.coalesceFrames(this.pendingFrame, data);
+        }
+        throw error;
+      }
 
-      // Increment error counter
-      this.errorCount++;
+      console.error('[RealtimeManager] Error during update:', error);
 
-      // If too many consecutive errors, pause updates
-      if (this.errorCount >= this.maxConsecutiveErrors) {
-        console.warn(`[RealtimeManager] ${this.errorCount} consecutive errors. Pausing updates.`);
-        return Promise.resolve();
-      }
+      this.handleUpdateError(error);
     } finally {
       // Mark as not updating
       this.isUpdating = false;
+    }
 
-      // Schedule next update if no external coordinator was provided
-      // (which would indicate a manual update)
-      if (!coordinator && this.updateTimer) {
-        this.scheduleNextUpdate();
+    return Promise.resolve(applied);
+  },
+
+  /**
+   * Schedules the next poll after a timer-driven or forced update. Errors back off.
+   */
+  continuePolling() {
+    if (this.isPolling && !this.isPaused && !this.isTransportConnected()) {
+      this.scheduleNextUpdate(this.errorCount > 0 ? this.getRetryDelay() : null);
+    }
+  },
+
+  /**
+   * Resets error tracking after a successful update and resumes if paused
+   */
+  handleUpdateSuccess() {
+    if (this.errorCount >= this.maxConsecutiveErrors) {
+      console.warn('[RealtimeManager] Update succeeded. Resuming real-time updates.');
+    }
+
+    this.errorCount = 0;
+    this.mapCoordinator.realtimeErrorCount = 0;
+
+    if (this.mapCoordinator.realtimeState === 'retrying' || this.mapCoordinator.realtimeState === 'paused_errors') {
+      this.setRealtimeState(this.isTransportConnected() ? 'connected' : 'running');
+    }
+  },
+
+  /**
+   * Counts a failed update and enters backoff or paused state
+   * @param {Error} error - Error that made the update fail
+   */
+  handleUpdateError(error) {
+    // Increment error counter
+    this.errorCount++;
+
+    // Publish error details for the status control
+    this.lastError = {
+      message: error && error.message ? error.message : String(error),
+      time: Date.now()
+    };
+    this.mapCoordinator.realtimeLastError = this.lastError;
+    this.mapCoordinator.realtimeErrorCount = this.errorCount;
+
+    // If too many consecutive errors, pause regular updates and keep probing
+    if (this.errorCount >= this.maxConsecutiveErrors) {
+      if (this.mapCoordinator.realtimeState !== 'paused_errors') {
+        console.warn(`[RealtimeManager] ${this.errorCount} consecutive errors. Pausing updates, probing every ${Math.round(this.getRetryDelay(false) / 1000)}s.`);
       }
+      this.setRealtimeState('paused_errors');
+    } else {
+      this.setRealtimeState('retrying');
+    }
+  },
+
+  /**
+   * Calculates the delay before the next attempt after consecutive errors
+   * (exponential backoff on retryInterval, capped and randomized)
+   * @param {Boolean} withJitter - Apply random jitter (default true)
+   * @returns {Number} Delay in ms
+   */
+  getRetryDelay(withJitter = true) {
+    const exponent = Math.max(this.errorCount - 1, 0);
+    const delay = Math.min(this.retryInterval * Math.pow(2, exponent), this.maxRetryInterval);
+
+    if (!withJitter || !this.retryJitter) {
+      return delay;
     }
 
+    // Spread retries so many clients don't hit the backend at the same moment
+    const jitter = delay * this.retryJitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(delay + jitter));
+  },
+
+  /**
+   * Publishes the real-time state on the coordinator
+   * @param {String} state - 'stopped', 'running', 'connected', 'retrying', 'paused', 'paused_errors' or 'paused_hidden'
+   */
+  setRealtimeState(state) {
+    if (this.mapCoordinator) {
+      this.mapCoordinator.realtimeState = state;
+    }
+  },
+
+  /**
+   * Publishes the time of the next scheduled poll on the coordinator
+   * @param {Number|null} time - Timestamp in ms, or null if nothing is scheduled
+   */
+  setNextUpdateTime(time) {
+    if (this.mapCoordinator) {
+      this.mapCoordinator.realtimeNextUpdate = time;
+    }
+  },
+
+  /**
+   * Applies a data frame: either a full snapshot ({list, ...}) or a delta
+   * ({type: 'delta', seq, ops}). A gap in delta sequence numbers triggers a full resync.
+   * @param {Object} coordinator - Coordinator state
+   * @param {Object} frame - Data frame
+   * @param {AbortSignal} signal - Aborted when the event is interrupted (optional)
+   * @returns {Promise} Promise that resolves when the frame is applied
+   */
+  async applyFrame(coordinator, frame, signal = null) {
+    if (frame.type !== 'delta') {
+      await this.managers.markerManager.updateMarkersFromData(coordinator, frame, signal);
+      this.lastSequence = frame.seq !== undefined ? frame.seq : null;
+      this.managers.frameRecorder.record(frame);
+      return Promise.resolve();
+    }
+
+    // Duplicate or out-of-date delta
+    if (this.lastSequence !== null && frame.seq <= this.lastSequence) {
+      return Promise.resolve();
+    }
+
+    // Coalesced deltas start at baseSeq
+    const firstSeq = frame.baseSeq !== undefined ? frame.baseSeq : frame.seq;
+
+    // Missed at least one delta: current markers can't be trusted anymore
+    if (frame.hasGap || (this.lastSequence !== null && firstSeq !== this.lastSequence + 1)) {
+      console.warn(`[RealtimeManager] Delta sequence gap (${this.lastSequence} -> ${frame.seq}). Resynchronizing.`);
+      return this.resync(coordinator, signal);
+    }
+
+    await this.managers.markerManager.applyDelta(coordinator, frame.ops, signal);
+    this.lastSequence = frame.seq;
+    this.managers.frameRecorder.record(frame);
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Buffers a frame received during user interaction, coalescing it with
+   * anything already buffered. processPendingUpdates applies it afterwards.
+   * @param {Object} frame - Data frame
+   */
+  bufferFrame(frame) {
+    this.pendingFrame = this.coalesceFrames(this.pendingFrame, frame);
+    this.mapCoordinator.pendingUpdates = true;
+  },
+
+  /**
+   * Returns the buffered frame and clears the buffer
+   * @returns {Object|null} Coalesced frame or null if nothing is buffered
+   */
+  takePendingFrame() {
+    const frame = this.pendingFrame;
+    this.pendingFrame = null;
+    return frame;
+  },
+
+  /**
+   * Queues the buffered frame, if any, as a single realtime_update event
+   */
+  flushPendingFrame() {
+    const component = this.mapCoordinator.componentInstance;
+
+    if (!this.pendingFrame || !component) {
+      return;
+    }
+
+    // Component data changed during the interaction is still applied by processPendingUpdates
+    this.mapCoordinator.pendingUpdates = this.mapCoordinator.pendingDataUpdate;
+    component.queueEvent('realtime_update', this.takePendingFrame(), 'normal');
+  },
+
+  /**
+   * Combines two consecutive frames into one
+   * @param {Object|null} buffered - Frame already buffered
+   * @param {Object} frame - Newer frame
+   * @returns {Object} Coalesced frame
+   */
+  coalesceFrames(buffered, frame) {
+    // A full snapshot supersedes everything received before it
+    if (!buffered || frame.type !== 'delta') {
+      return frame;
+    }
+
+    // Snapshot followed by deltas: fold the operations into the snapshot list
+    if (buffered.type !== 'delta') {
+      // A delta was missed after the snapshot: let applyFrame resync
+      if (buffered.seq !== undefined && frame.seq !== buffered.seq + 1) {
+        return { type: 'delta', seq: frame.seq, hasGap: true, ops: [] };
+      }
+      return {
+        ...buffered,
+        list: this.applyOpsToList(buffered.list, frame.ops),
+        seq: frame.seq
+      };
+    }
+
+    // Consecutive deltas: concatenate operations, remembering the first sequence number
+    return {
+      type: 'delta',
+      baseSeq: buffered.baseSeq !== undefined ? buffered.baseSeq : buffered.seq,
+      seq: frame.seq,
+      hasGap: !!buffered.hasGap || frame.seq !== buffered.seq + 1,
+      ops: buffered.ops.concat(frame.ops)
+    };
+  },
+
+  /**
+   * Applies delta operations to a plain marker list (no map changes)
+   * @param {Array} list - Marker data list
+   * @param {Array} ops - Delta operations
+   * @returns {Array} New marker data list
+   */
+  applyOpsToList(list, ops) {
+    const byId = new Map();
+    list.forEach(m => byId.set(m.id || `marker_${m.i}`, m));
+
+    ops.forEach(operation => {
+      const id = operation.id || (operation.marker && operation.marker.id);
+
+      if (operation.op === 'upsert') {
+        byId.set(id, { ...operation.marker, id });
+      } else if (operation.op === 'patch' && byId.has(id)) {
+        byId.set(id, { ...byId.get(id), ...operation.fields, id });
+      } else if (operation.op === 'remove') {
+        byId.delete(id);
+      }
+    });
+
+    return [...byId.values()];
+  },
+
+  /**
+   * Reloads the full marker set after losing track of the delta sequence
+   * @param {Object} coordinator - Coordinator state
+   * @param {AbortSignal} signal - Aborted when the event is interrupted (optional)
+   * @returns {Promise} Promise that resolves when markers are rebuilt
+   */
+  async resync(coordinator, signal = null) {
+    // Force a full response instead of a conditional one
+    if (this.dataSource && typeof this.dataSource.reset === 'function') {
+      this.dataSource.reset();
+    }
+
+    const snapshot = await this.fetchUpdatedData(coordinator);
+
+    if (!snapshot || !Array.isArray(snapshot.list)) {
+      this.lastSequence = null;
+      throw new Error('Full resync failed: no snapshot available');
+    }
+
+    await this.managers.markerManager.processMarkers(coordinator, snapshot.list, signal);
+    this.lastSequence = snapshot.seq !== undefined ? snapshot.seq : null;
+    this.managers.frameRecorder.record(this.managers.markerManager.getSnapshotData());
+
     return Promise.resolve();
   },
 
@@ -166,6 +538,11 @@ const realtimeManager = {
    * @returns {Promise} Promise that resolves with fetched data
    */
   async fetchUpdatedData(coordinator) {
+    // Prefer the configured data source (HTTP polling, etc.)
+    if (this.dataSource) {
+      return this.dataSource.fetchData();
+    }
+
     // If component has data, use it
     if (coordinator.componentInstance && coordinator.componentInstance.dataP) {
       return coordinator.componentInstance.dataP;
@@ -173,18 +550,236 @@ const realtimeManager = {
 
     // If no way to get data, return null
     return null;
+  },
 
-    // NOTE: In a real implementation, there would be an API call here
-    /*
-    try {
-      const response = await fetch('/api/map-data');
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      console.error('Error fetching data:', error);
-      throw error;
+  /**
+   * Sets the data source used to fetch updates
+   * @param {Object|null} source - Object exposing fetchData(), or null to use component data
+   */
+  setDataSource(source) {
+    if (source && typeof source.fetchData !== 'function') {
+      throw new Error('[RealtimeManager] Data source must implement fetchData()');
+    }
+
+    this.dataSource = source;
+
+    if (this.mapCoordinator && this.mapCoordinator.debug) {
+      //console.log('[RealtimeManager] Data source updated');
+    }
+  },
+
+  /**
+   * Connects a push transport (WebSocket, etc.). Polling is used as a
+   * fallback whenever the transport is not connected.
+   * @param {Object} transport - Object exposing connect(handlers), disconnect() and isConnected()
+   */
+  connectTransport(transport) {
+    this.disconnectTransport();
+    this.transport = transport;
+
+    // Poll until the transport reports it is open
+    this.startUpdates();
+
+    transport.connect({
+      onOpen: () => this.handleTransportOpen(),
+      onFrame: frame => this.handlePushFrame(frame),
+      onClose: info => this.handleTransportClose(info),
+      onError: error => console.warn(`[RealtimeManager] Transport error: ${error.message}`)
+    });
+  },
+
+  /**
+   * Disconnects the current push transport, if any
+   */
+  disconnectTransport() {
+    if (!this.transport) {
+      return;
+    }
+
+    const transport = this.transport;
+    this.transport = null;
+    transport.disconnect();
+  },
+
+  /**
+   * Checks if a push transport is connected
+   * @returns {Boolean} True if push updates are being received
+   */
+  isTransportConnected() {
+    return !!(this.transport && this.transport.isConnected());
+  },
+
+  /**
+   * Handles a transport connection: polling is no longer needed
+   */
+  handleTransportOpen() {
+    this.stopUpdates();
+
+    if (this.mapCoordinator.debug) {
+      //console.log(`[RealtimeManager] ${this.transport.name} transport connected`);
+    }
+  },
+
+  /**
+   * Handles a transport disconnection by falling back to polling
+   * @param {Object} info - Close information {code, reason}
+   */
+  handleTransportClose(info) {
+    // Transport was removed on purpose
+    if (!this.transport) {
+      return;
+    }
+
+    console.warn(`[RealtimeManager] Transport closed (${info.code}). Falling back to polling.`);
+
+    if (!this.isPolling) {
+      this.startUpdates();
+    }
+  },
+
+  /**
+   * Feeds a frame received from a push transport through the event system
+   * @param {Object} frame - Marker data frame
+   */
+  handlePushFrame(frame) {
+    const coord = this.mapCoordinator;
+
+    // Initial data is loaded by the component; ignore frames until the map is ready
+    if (!coord || !coord.isReady) {
+      return;
+    }
+
+    // Buffer frames while the user pans or zooms, or while updates are paused
+    if (coord.userInteracting || this.isPaused || this.getVisibilityMode() === 'pause') {
+      this.bufferFrame(frame);
+      return;
+    }
+
+    if (coord.componentInstance) {
+      coord.componentInstance.queueEvent('realtime_update', frame, 'normal');
+    } else {
+      this.performUpdate(coord, frame);
+    }
+  },
+
+  /**
+   * Updates the visibility policy
+   * @param {Object} policy - Partial policy {hidden, offscreen, throttledInterval, catchUpOnVisible}
+   */
+  setVisibilityPolicy(policy = {}) {
+    this.visibilityPolicy = { ...this.visibilityPolicy, ...policy };
+  },
+
+  /**
+   * Determines how updates should behave given current visibility
+   * @returns {String} 'pause', 'throttle' or 'continue'
+   */
+  getVisibilityMode() {
+    if (this.isDocumentHidden) {
+      return this.visibilityPolicy.hidden;
+    }
+
+    if (this.isMapOffscreen) {
+      return this.visibilityPolicy.offscreen;
+    }
+
+    return 'continue';
+  },
+
+  /**
+   * Listens to document visibility and map container intersection changes
+   */
+  setupVisibilityTracking() {
+    this.teardownVisibilityTracking();
+
+    if (typeof document !== 'undefined') {
+      this.isDocumentHidden = document.visibilityState === 'hidden';
+      this.visibilityMode = this.getVisibilityMode();
+      this.visibilityListener = () => {
+        this.isDocumentHidden = document.visibilityState === 'hidden';
+        this.handleVisibilityChange();
+      };
+      document.addEventListener('visibilitychange', this.visibilityListener);
+    }
+
+    if (typeof IntersectionObserver === 'function' && this.map && this.map.getContainer) {
+      this.intersectionObserver = new IntersectionObserver(entries => {
+        const entry = entries[entries.length - 1];
+        this.isMapOffscreen = !entry.isIntersecting;
+        this.handleVisibilityChange();
+      });
+      this.intersectionObserver.observe(this.map.getContainer());
+    }
+  },
+
+  /**
+   * Removes visibility listeners
+   */
+  teardownVisibilityTracking() {
+    if (this.visibilityListener) {
+      document.removeEventListener('visibilitychange', this.visibilityListener);
+      this.visibilityListener = null;
+    }
+
+    if (this.intersectionObserver) {
+      this.intersectionObserver.disconnect();
+      this.intersectionObserver = null;
+    }
+
+    this.isDocumentHidden = false;
+    this.isMapOffscreen = false;
+    this.visibilityMode = 'continue';
+  },
+
+  /**
+   * Reacts to the map becoming hidden or visible
+   */
+  handleVisibilityChange() {
+    const mode = this.getVisibilityMode();
+    const previousMode = this.visibilityMode;
+    this.visibilityMode = mode;
+
+    if (this.mapCoordinator.debug) {
+      //console.log(`[RealtimeManager] Visibility mode: ${mode}`);
+    }
+
+    // Still hidden or throttled: the next scheduled update picks up the new mode
+    if (mode !== 'continue') {
+      return;
+    }
+
+    const wasPaused = this.pausedByVisibility;
+    this.pausedByVisibility = false;
+
+    if (this.isPaused) {
+      return;
+    }
+
+    // Apply push frames buffered while hidden
+    if (!this.mapCoordinator.userInteracting) {
+      this.flushPendingFrame();
+    }
+
+    // Polls were only held back if the map was hidden or throttled (observers
+    // also report the initial visibility, and scrolling doesn't always change the mode)
+    if (previousMode === 'continue' || !this.isPolling || this.isTransportConnected()) {
+      return;
+    }
+
+    if (this.errorCount > 0) {
+      // Backing off after errors: the next probe keeps its delay
+      if (wasPaused) {
+        this.setRealtimeState(this.errorCount >= this.maxConsecutiveErrors ? 'paused_errors' : 'retrying');
+        this.scheduleNextUpdate(this.getRetryDelay());
+      }
+    } else if (this.visibilityPolicy.catchUpOnVisible) {
+      // Catch up immediately instead of waiting for the (possibly throttled) timer
+      this.setRealtimeState('running');
+      this.forceUpdate();
+    } else if (wasPaused) {
+      this.setRealtimeState('running');
+      this.scheduleNextUpdate();
     }
-    */
   },
 
   /**
@@ -196,7 +791,7 @@ const realtimeManager = {
     this.mapCoordinator.realtimeInterval = seconds;
 
     // Restart updates with new interval
-    if (this.updateTimer) {
+    if (this.isPolling) {
       this.stopUpdates();
       this.startUpdates();
     }
@@ -207,11 +802,11 @@ const realtimeManager = {
   },
 
   /**
-   * Checks if updates are in progress
-   * @returns {Boolean} True if updates are active
+   * Checks if polling is running
+   * @returns {Boolean} True if polls are scheduled (or held while the map is hidden)
    */
   isActive() {
-    return this.updateTimer !== null;
+    return this.isPolling;
   },
 
   /**
@@ -225,10 +820,12 @@ const realtimeManager = {
       this.updateTimer = null;
     }
 
-    // Perform immediate update
+    // Perform immediate update, then poll on unless paused or a push transport is delivering updates
     return this.performUpdate().then(() => {
-      // Schedule next update
-      this.scheduleNextUpdate();
+      if (!this.isPaused && !this.isTransportConnected()) {
+        this.isPolling = true;
+        this.continuePolling();
+      }
     });
   }
 };
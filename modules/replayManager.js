@@ -0,0 +1,318 @@
+/**
+ * replayManager.js
+ * Replays frames stored by frameRecorder on the map
+ */
+
+const replayManager = {
+  /**
+   * Creates an isolated replay manager for one map
+   * @returns {Object} New replay manager instance
+   */
+  create() {
+    return Object.assign(Object.create(replayManager), {
+      frames: []
+    });
+  },
+
+  // References
+  managers: null, // Managers of the same map (set by mapManagers)
+  mapCoordinator: null,
+
+  // Replay state
+  frames: [],        // Recorded frames {time, kind, frame}
+  position: -1,      // Index of the last applied frame
+  liveSnapshot: null, // Markers shown when replay started, restored on exit
+  playTimer: null,
+  wasPausedBeforeReplay: false,
+
+  // Configuration
+  maxFrameDelay: 2000, // ms cap between frames during playback (skips long idle gaps)
+
+  /**
+   * Initializes the replay manager
+   * @param {Object} coordinator - Coordinator instance
+   */
+  initialize(coordinator) {
+    this.mapCoordinator = coordinator;
+
+    if (coordinator.debug) {
+      //console.log('[ReplayManager] Initialized');
+    }
+  },
+
+  /**
+   * Starts or stops recording of applied real-time frames
+   * @param {Boolean} enabled - Whether to record
+   * @returns {Promise} Promise that resolves when the recording state has changed
+   */
+  async setRecording(enabled) {
+    if (enabled) {
+      // Start with the current markers so the recording can be replayed from its first frame
+      await this.managers.frameRecorder.startRecording(this.managers.markerManager.getSnapshotData());
+    } else {
+      this.managers.frameRecorder.stopRecording();
+    }
+
+    this.mapCoordinator.replay.recording = this.managers.frameRecorder.isRecording;
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Enters replay mode: live updates are paused and recorded frames loaded
+   * @returns {Promise} Promise that resolves when replay is ready
+   */
+  async enter() {
+    const replay = this.mapCoordinator.replay;
+
+    if (replay.active) {
+      return Promise.resolve();
+    }
+
+    this.frames = await this.managers.frameRecorder.getFrames();
+
+    // Replay always starts from a snapshot
+    const firstSnapshot = this.frames.findIndex(entry => entry.kind === 'snapshot');
+    if (firstSnapshot === -1) {
+      console.warn('[ReplayManager] No recorded snapshot to replay');
+      this.frames = [];
+      return Promise.resolve();
+    }
+    this.frames = this.frames.slice(firstSnapshot);
+
+    // Live frames are buffered by realtimeManager while paused
+    this.wasPausedBeforeReplay = this.managers.realtimeManager.isPaused;
+    this.managers.realtimeManager.pauseUpdates();
+
+    replay.active = true;
+    replay.startTime = this.frames[0].time;
+    replay.endTime = this.frames[this.frames.length - 1].time;
+    this.position = -1;
+
+    // The first replayed frame saves the live markers before replacing them (see applyEntry)
+    await this.seekToIndex(0, true);
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Leaves replay mode, restoring the live state
+   * @returns {Promise} Promise that resolves when live updates are restored
+   */
+  async exit() {
+    const replay = this.mapCoordinator.replay;
+
+    if (!replay.active) {
+      return Promise.resolve();
+    }
+
+    this.pause();
+
+    // Recordings may stop early, drop old frames or miss component data updates,
+    // so the markers saved when replay started are restored instead of the last frame
+    this.queueEntry({ kind: 'live' });
+
+    replay.active = false;
+    replay.currentTime = null;
+    this.frames = [];
+    this.position = -1;
+
+    // Component data received during replay, before live frames buffered meanwhile
+    const component = this.mapCoordinator.componentInstance;
+    if (replay.dataPending && component) {
+      replay.dataPending = false;
+      component.queueEvent('data_update', { data: component.dataP }, 'normal');
+    }
+
+    if (!this.wasPausedBeforeReplay) {
+      this.managers.realtimeManager.resumeUpdates();
+    }
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Starts playback from the current position
+   */
+  play() {
+    const replay = this.mapCoordinator.replay;
+
+    if (!replay.active || replay.playing) {
+      return;
+    }
+
+    // Restart from the beginning when at the end
+    if (this.position >= this.frames.length - 1) {
+      this.position = -1;
+    }
+
+    replay.playing = true;
+    this.scheduleNextFrame();
+  },
+
+  /**
+   * Pauses playback
+   */
+  pause() {
+    if (this.playTimer) {
+      clearTimeout(this.playTimer);
+      this.playTimer = null;
+    }
+
+    this.mapCoordinator.replay.playing = false;
+  },
+
+  /**
+   * Changes playback speed
+   * @param {Number} speed - Speed multiplier (1 = real time)
+   */
+  setSpeed(speed) {
+    this.mapCoordinator.replay.speed = speed > 0 ? speed : 1;
+
+    // Reschedule the pending frame with the new speed
+    if (this.mapCoordinator.replay.playing) {
+      this.pause();
+      this.play();
+    }
+  },
+
+  /**
+   * Moves replay to a point in time
+   * @param {Number} time - Timestamp in ms
+   * @returns {Promise} Promise that resolves when the map shows that time
+   */
+  async seek(time) {
+    // Last frame at or before the requested time
+    let index = 0;
+    for (let i = 0; i < this.frames.length && this.frames[i].time <= time; i++) {
+      index = i;
+    }
+
+    await this.seekToIndex(index);
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Shows the map as it was after a given frame. Frames are queued as
+   * replay_frame events, so they run in order with the other map events.
+   * @param {Number} index - Frame index
+   * @param {Boolean} saveLive - If the first queued frame saves the live markers (when entering replay)
+   * @returns {Promise} Promise that resolves when frames are queued
+   */
+  async seekToIndex(index, saveLive = false) {
+    const coordinator = this.mapCoordinator;
+
+    if (index < 0 || index >= this.frames.length) {
+      return Promise.resolve();
+    }
+
+    // Closest snapshot at or before the target frame
+    let snapshotIndex = index;
+    while (snapshotIndex > 0 && this.frames[snapshotIndex].kind !== 'snapshot') {
+      snapshotIndex--;
+    }
+
+    // Moving forward from a state after that snapshot only needs the following deltas
+    let start = this.position;
+    if (this.position < snapshotIndex || this.position > index) {
+      start = snapshotIndex;
+      this.queueEntry(this.frames[snapshotIndex], saveLive);
+      saveLive = false;
+    }
+
+    for (let i = start + 1; i <= index; i++) {
+      this.queueEntry(this.frames[i], saveLive);
+      saveLive = false;
+    }
+
+    this.position = index;
+    coordinator.replay.currentTime = this.frames[index].time;
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Queues a recorded frame to be applied on the map
+   * @param {Object} entry - Recorded entry {kind, frame}, or {kind: 'live'} to restore the live markers
+   * @param {Boolean} saveLive - If the live markers are saved before the frame is applied
+   */
+  queueEntry(entry, saveLive = false) {
+    const component = this.mapCoordinator.componentInstance;
+
+    if (!component) {
+      return;
+    }
+
+    component.queueEvent('replay_frame', {
+      kind: entry.kind,
+      // Applying a frame changes its data, and the recording may be replayed again
+      frame: entry.frame ? JSON.parse(JSON.stringify(entry.frame)) : null,
+      saveLive
+    }, 'normal');
+  },
+
+  /**
+   * Applies a single recorded frame (handler of replay_frame events)
+   * @param {Object} coordinator - Coordinator state
+   * @param {Object} entry - Queued entry {kind, frame, saveLive}
+   * @param {AbortSignal} signal - Aborted when the event is interrupted (optional)
+   * @returns {Promise} Promise that resolves when the frame is applied
+   */
+  async applyEntry(coordinator, entry, signal = null) {
+    const markerManager = this.managers.markerManager;
+
+    // Saved once: an interrupted event runs again over markers it already changed
+    if (entry.saveLive && !this.liveSnapshot) {
+      this.liveSnapshot = markerManager.getSnapshotData();
+    }
+
+    if (entry.kind === 'live') {
+      if (this.liveSnapshot) {
+        await markerManager.updateMarkersFromData(coordinator, JSON.parse(JSON.stringify(this.liveSnapshot)), signal);
+        this.liveSnapshot = null;
+      }
+    } else if (entry.kind === 'delta') {
+      await markerManager.applyDelta(coordinator, entry.frame.ops, signal);
+    } else {
+      await markerManager.updateMarkersFromData(coordinator, entry.frame, signal);
+    }
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Schedules the next frame during playback
+   */
+  scheduleNextFrame() {
+    const replay = this.mapCoordinator.replay;
+    const nextIndex = this.position + 1;
+
+    if (nextIndex >= this.frames.length) {
+      this.pause();
+      return;
+    }
+
+    // Keep recorded timing, scaled by speed
+    const gap = this.position >= 0 ? this.frames[nextIndex].time - this.frames[this.position].time : 0;
+    const delay = Math.min(gap / replay.speed, this.maxFrameDelay);
+
+    this.playTimer = setTimeout(async () => {
+      this.playTimer = null;
+
+      try {
+        await this.seekToIndex(nextIndex);
+      } catch (error) {
+        console.error('[ReplayManager] Error applying frame:', error);
+        this.pause();
+        return;
+      }
+
+      if (replay.playing) {
+        this.scheduleNextFrame();
+      }
+    }, delay);
+  }
+};
+
+export default replayManager;
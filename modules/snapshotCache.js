@@ -0,0 +1,178 @@
+/**
+ * snapshotCache.js
+ * Keeps the last successfully loaded map data in localStorage so the map
+ * can be shown (marked as stale) when the backend is unreachable at load
+ */
+
+const snapshotCache = {
+  /**
+   * Creates an isolated snapshot cache for one map
+   * @returns {Object} New snapshot cache instance
+   */
+  create() {
+    return Object.create(snapshotCache);
+  },
+
+  // References
+  managers: null, // Managers of the same map (set by mapManagers)
+  mapCoordinator: null,
+
+  // Configuration
+  storageKey: 'realtime_map_snapshot',
+  saveDelay: 5000, // ms to wait before writing, so bursts of frames cost one write
+
+  // State
+  mapSettings: {}, // map_url, lat, lon and scale of the last full data
+  saveTimer: null,
+
+  /**
+   * Initializes the snapshot cache
+   * @param {Object} coordinator - Coordinator instance
+   */
+  initialize(coordinator) {
+    this.mapCoordinator = coordinator;
+
+    if (coordinator.debug) {
+      //console.log('[SnapshotCache] Initialized');
+    }
+  },
+
+  /**
+   * Reads the cached snapshot
+   * @returns {Object|null} Cached entry {time, data} or null if there is none
+   */
+  load() {
+    const storage = this.getStorage();
+
+    if (!storage) {
+      return null;
+    }
+
+    try {
+      const entry = JSON.parse(storage.getItem(this.storageKey));
+
+      if (!entry || !entry.data || !Array.isArray(entry.data.list)) {
+        return null;
+      }
+
+      // Restored data also provides the settings for the next write
+      this.mapSettings = this.getMapSettings(entry.data);
+
+      return entry;
+    } catch (error) {
+      console.warn('[SnapshotCache] Ignoring unreadable snapshot:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Records that fresh data reached the map: clears the stale state and
+   * schedules a write of the current markers
+   * @param {Object} data - Data that was received (full data or delta frame)
+   */
+  markFresh(data) {
+    if (data && Array.isArray(data.list)) {
+      this.mapSettings = this.getMapSettings(data);
+    }
+
+    if (this.mapCoordinator) {
+      this.mapCoordinator.staleSince = null;
+    }
+
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => {
+        this.saveTimer = null;
+        this.save();
+      }, this.saveDelay);
+    }
+  },
+
+  /**
+   * Writes a pending snapshot immediately
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      this.save();
+    }
+  },
+
+  /**
+   * Writes the markers currently on the map
+   */
+  save() {
+    const storage = this.getStorage();
+
+    // Recorded frames shown during replay are not live data
+    if (!storage || (this.mapCoordinator && this.mapCoordinator.replay.active)) {
+      return;
+    }
+
+    const list = this.managers.markerManager.getSnapshotData().list;
+
+    // An empty map is not worth restoring
+    if (!list.length) {
+      return;
+    }
+
+    const entry = {
+      time: Date.now(),
+      data: {
+        ...this.mapSettings,
+        list
+      }
+    };
+
+    try {
+      storage.setItem(this.storageKey, JSON.stringify(entry));
+    } catch (error) {
+      // Usually the storage quota; the previous snapshot is kept
+      console.warn('[SnapshotCache] Error storing snapshot:', error);
+    }
+  },
+
+  /**
+   * Deletes the cached snapshot
+   */
+  clear() {
+    const storage = this.getStorage();
+
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    if (storage) {
+      storage.removeItem(this.storageKey);
+    }
+  },
+
+  /**
+   * Gets the map settings stored alongside the markers
+   * @param {Object} data - Data in {list, map_url, lat, lon, scale} format
+   * @returns {Object} Settings {map_url, lat, lon, scale}
+   */
+  getMapSettings(data) {
+    return {
+      map_url: data.map_url,
+      lat: data.lat,
+      lon: data.lon,
+      scale: data.scale
+    };
+  },
+
+  /**
+   * Gets localStorage if available (it throws in some privacy modes)
+   * @returns {Storage|null} Storage or null if unavailable
+   */
+  getStorage() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+      return null;
+    }
+  }
+};
+
+export default snapshotCache;
@@ -0,0 +1,173 @@
+/**
+ * httpPollingSource.js
+ * HTTP data source used by realtimeManager to poll marker data
+ */
+
+const httpPollingSource = {
+  /**
+   * Creates a new polling data source
+   * @param {Object} options - Source configuration
+   * @param {String} options.url - Endpoint that returns map data
+   * @param {Object} options.headers - Additional request headers
+   * @param {String} options.method - HTTP method (default 'GET')
+   * @param {Boolean} options.conditional - Send If-None-Match / If-Modified-Since (default true)
+   * @param {Number} options.timeout - Request timeout in ms (0 disables it)
+   * @param {Function} options.mapResponse - Maps the parsed body to {list, map_url, lat, lon}
+   * @param {Function} options.fetchFn - fetch implementation (defaults to global fetch)
+   * @returns {Object} Data source exposing fetchData()
+   */
+  create(options = {}) {
+    if (!options.url) {
+      throw new Error('[HttpPollingSource] A url is required');
+    }
+
+    const source = {
+      // Configuration
+      url: options.url,
+      method: options.method || 'GET',
+      headers: { ...(options.headers || {}) },
+      conditional: options.conditional !== false,
+      timeout: options.timeout !== undefined ? options.timeout : 15000,
+      mapResponse: options.mapResponse || null,
+      fetchFn: options.fetchFn || null,
+
+      // Conditional request state
+      etag: null,
+      lastModified: null,
+      lastStatus: null,
+
+      // Interface used by realtimeManager
+      fetchData: () => this.fetchData(source),
+      reset: () => this.reset(source)
+    };
+
+    return source;
+  },
+
+  /**
+   * Fetches data from the source endpoint
+   * @param {Object} source - Data source created with create()
+   * @returns {Promise} Promise that resolves with mapped data, or null if unchanged (304)
+   */
+  async fetchData(source) {
+    const fetchFn = source.fetchFn || (typeof fetch === 'function' ? fetch : null);
+
+    if (!fetchFn) {
+      throw new Error('[HttpPollingSource] No fetch implementation available');
+    }
+
+    // Build request headers, adding validators from the previous response
+    const headers = { Accept: 'application/json', ...source.headers };
+    if (source.conditional) {
+      if (source.etag) {
+        headers['If-None-Match'] = source.etag;
+      }
+      if (source.lastModified) {
+        headers['If-Modified-Since'] = source.lastModified;
+      }
+    }
+
+    // Abort the request if it takes longer than the configured timeout
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const timeoutId = controller && source.timeout > 0
+      ? setTimeout(() => controller.abort(), source.timeout)
+      : null;
+
+    let response;
+    try {
+      response = await fetchFn(source.url, {
+        method: source.method,
+        headers,
+        signal: controller ? controller.signal : undefined
+      });
+    } catch (error) {
+      if (error && error.name === 'AbortError') {
+        throw new Error(`[HttpPollingSource] Request timed out after ${source.timeout}ms`);
+      }
+      throw error;
+    } finally {
+      if (timeoutId) {
+        clearTimeout(timeoutId);
+      }
+    }
+
+    source.lastStatus = response.status;
+
+    // Nothing changed since the last successful response
+    if (response.status === 304) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(`[HttpPollingSource] HTTP ${response.status} from ${source.url}`);
+    }
+
+    // Remember validators for the next conditional request
+    if (response.headers) {
+      source.etag = response.headers.get('ETag') || source.etag;
+      source.lastModified = response.headers.get('Last-Modified') || source.lastModified;
+    }
+
+    const body = await response.json();
+
+    return this.mapResponse(source, body);
+  },
+
+  /**
+   * Maps a response body to the shape expected by markerManager.updateMarkersFromData
+   * @param {Object} source - Data source
+   * @param {Object} body - Parsed response body
+   * @returns {Object} Data in {list, map_url, lat, lon} format, or a delta frame
+   */
+  mapResponse(source, body) {
+    const mapped = source.mapResponse
+      ? source.mapResponse(body)
+      : this.defaultMapResponse(body);
+
+    // Delta frames carry operations instead of a full list
+    if (mapped && mapped.type === 'delta' && Array.isArray(mapped.ops)) {
+      return mapped;
+    }
+
+    if (!mapped || !Array.isArray(mapped.list)) {
+      throw new Error('[HttpPollingSource] Mapped response has no marker list');
+    }
+
+    return mapped;
+  },
+
+  /**
+   * Default response mapping. Accepts either the raw map data or the
+   * backend envelope used by dataTracker ({ reply: {...} })
+   * @param {Object} body - Parsed response body
+   * @returns {Object} Data in {list, map_url, lat, lon} format
+   */
+  defaultMapResponse(body) {
+    const data = body && body.reply ? body.reply : body;
+
+    if (!data || data.type === 'delta') {
+      return data;
+    }
+
+    return {
+      list: data.list,
+      map_url: data.map_url,
+      lat: data.lat,
+      lon: data.lon,
+      scale: data.scale,
+      seq: data.seq
+    };
+  },
+
+  /**
+   * Clears conditional request state so the next fetch returns a full response
+   * @param {Object} source - Data source
+   */
+  reset(source) {
+    source.etag = null;
+    source.lastModified = null;
+    source.lastStatus = null;
+  }
+};
+
+export default httpPollingSource;
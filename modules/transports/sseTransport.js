@@ -0,0 +1,176 @@
+/**
+ * sseTransport.js
+ * Server-Sent Events (EventSource) push transport used by realtimeManager
+ */
+
+import transportUtils from './transportUtils.js';
+
+const sseTransport = {
+  /**
+   * Creates a new SSE transport
+   * @param {Object} options - Transport configuration
+   * @param {String} options.url - Event stream endpoint
+   * @param {Array} options.eventTypes - Named events to listen to (default: unnamed 'message' events)
+   * @param {Boolean} options.withCredentials - Send cookies with the stream request
+   * @param {String} options.lastEventIdParam - Query parameter carrying the last event ID on manual reconnects
+   * @param {Number} options.reconnectDelay - Initial reconnect delay in ms
+   * @param {Number} options.maxReconnectDelay - Maximum reconnect delay in ms
+   * @param {Function} options.mapFrame - Maps a parsed event to marker data (null to ignore it)
+   * @param {Function} options.EventSourceImpl - EventSource constructor (defaults to global EventSource)
+   * @returns {Object} Transport exposing connect(), disconnect() and isConnected()
+   */
+  create(options = {}) {
+    if (!options.url) {
+      throw new Error('[SseTransport] A url is required');
+    }
+
+    const transport = {
+      name: 'sse',
+      logPrefix: '[SseTransport]',
+
+      // Configuration
+      url: options.url,
+      eventTypes: options.eventTypes && options.eventTypes.length ? options.eventTypes : ['message'],
+      withCredentials: !!options.withCredentials,
+      lastEventIdParam: options.lastEventIdParam || 'lastEventId',
+      reconnectDelay: options.reconnectDelay || 1000,
+      maxReconnectDelay: options.maxReconnectDelay || 30000,
+      mapFrame: options.mapFrame || null,
+      EventSourceImpl: options.EventSourceImpl || null,
+
+      // Connection state
+      source: null,
+      handlers: null,
+      connected: false,
+      manuallyClosed: false,
+      lastEventId: null,
+      reconnectAttempts: 0,
+      reconnectTimer: null,
+
+      // Interface used by realtimeManager
+      connect: handlers => this.connect(transport, handlers),
+      disconnect: () => this.disconnect(transport),
+      isConnected: () => transport.connected
+    };
+
+    return transport;
+  },
+
+  /**
+   * Opens the event stream
+   * @param {Object} transport - Transport created with create()
+   * @param {Object} handlers - Callbacks {onOpen, onFrame, onClose, onError}
+   */
+  connect(transport, handlers = transport.handlers) {
+    const SourceImpl = transport.EventSourceImpl || (typeof EventSource === 'function' ? EventSource : null);
+
+    if (!SourceImpl) {
+      throw new Error('[SseTransport] No EventSource implementation available');
+    }
+
+    transport.handlers = handlers || {};
+    transport.manuallyClosed = false;
+
+    let source;
+    try {
+      source = new SourceImpl(this.buildUrl(transport), { withCredentials: transport.withCredentials });
+    } catch (error) {
+      transportUtils.notify(transport, 'onError', error);
+      transportUtils.scheduleReconnect(transport, () => this.connect(transport));
+      return;
+    }
+
+    transport.source = source;
+
+    source.onopen = () => {
+      transport.connected = true;
+      transport.reconnectAttempts = 0;
+      transportUtils.notify(transport, 'onOpen');
+    };
+
+    source.onerror = () => {
+      const wasConnected = transport.connected;
+      transport.connected = false;
+
+      if (wasConnected) {
+        transportUtils.notify(transport, 'onClose', { code: source.readyState, reason: 'Stream interrupted' });
+      }
+
+      // EventSource retries on its own (sending Last-Event-ID) unless the stream was closed for good
+      if (source.readyState === 2 && !transport.manuallyClosed) {
+        transport.source = null;
+        transportUtils.scheduleReconnect(transport, () => this.connect(transport));
+      }
+    };
+
+    transport.eventTypes.forEach(type => {
+      source.addEventListener(type, event => this.handleEvent(transport, event));
+    });
+  },
+
+  /**
+   * Closes the event stream and stops reconnecting
+   * @param {Object} transport - Transport
+   */
+  disconnect(transport) {
+    transport.manuallyClosed = true;
+
+    if (transport.reconnectTimer) {
+      clearTimeout(transport.reconnectTimer);
+      transport.reconnectTimer = null;
+    }
+
+    if (transport.source) {
+      transport.source.close();
+      transport.source = null;
+    }
+
+    if (transport.connected) {
+      transport.connected = false;
+      transportUtils.notify(transport, 'onClose', { code: 2, reason: 'Client disconnect' });
+    }
+  },
+
+  /**
+   * Handles an incoming event
+   * @param {Object} transport - Transport
+   * @param {MessageEvent} event - Event from the stream
+   */
+  handleEvent(transport, event) {
+    // Remember position in the stream to resume after a reconnect
+    if (event.lastEventId) {
+      transport.lastEventId = event.lastEventId;
+    }
+
+    let frame;
+    try {
+      frame = JSON.parse(event.data);
+    } catch (error) {
+      transportUtils.notify(transport, 'onError', new Error(`[SseTransport] Invalid event data: ${error.message}`));
+      return;
+    }
+
+    const data = transport.mapFrame ? transport.mapFrame(frame, event) : transportUtils.defaultMapFrame(frame);
+
+    if (data) {
+      transportUtils.notify(transport, 'onFrame', data);
+    }
+  },
+
+  /**
+   * Builds the stream URL. EventSource cannot set headers, so a manually
+   * recreated stream carries the last event ID as a query parameter.
+   * @param {Object} transport - Transport
+   * @returns {String} Stream URL
+   */
+  buildUrl(transport) {
+    if (!transport.lastEventId) {
+      return transport.url;
+    }
+
+    const separator = transport.url.includes('?') ? '&' : '?';
+    return `${transport.url}${separator}${encodeURIComponent(transport.lastEventIdParam)}=${encodeURIComponent(transport.lastEventId)}`;
+  }
+};
+
+export default sseTransport;
@@ -0,0 +1,62 @@
+/**
+ * transportUtils.js
+ * Reconnect, handler and frame helpers shared by the push transports
+ * (websocketTransport.js, sseTransport.js)
+ */
+
+const transportUtils = {
+  /**
+   * Default frame mapping. Accepts the raw map data or a {reply: {...}} envelope
+   * @param {Object} frame - Parsed frame
+   * @returns {Object|null} Marker data or null if the frame carries none
+   */
+  defaultMapFrame(frame) {
+    if (!frame) {
+      return null;
+    }
+
+    return frame.reply ? frame.reply : frame;
+  },
+
+  /**
+   * Schedules a reconnect with exponential backoff
+   * @param {Object} transport - Transport {reconnectDelay, maxReconnectDelay, reconnectAttempts, reconnectTimer}
+   * @param {Function} connect - Reconnects the transport
+   */
+  scheduleReconnect(transport, connect) {
+    if (transport.reconnectTimer) {
+      return;
+    }
+
+    const delay = Math.min(
+      transport.reconnectDelay * Math.pow(2, transport.reconnectAttempts),
+      transport.maxReconnectDelay
+    );
+    transport.reconnectAttempts++;
+
+    transport.reconnectTimer = setTimeout(() => {
+      transport.reconnectTimer = null;
+      connect();
+    }, delay);
+  },
+
+  /**
+   * Invokes a handler if it exists
+   * @param {Object} transport - Transport {handlers, logPrefix}
+   * @param {String} name - Handler name
+   * @param {...*} args - Handler arguments
+   */
+  notify(transport, name, ...args) {
+    const handler = transport.handlers && transport.handlers[name];
+
+    if (typeof handler === 'function') {
+      try {
+        handler(...args);
+      } catch (error) {
+        console.error(`${transport.logPrefix} Error in ${name} handler:`, error);
+      }
+    }
+  }
+};
+
+export default transportUtils;
@@ -0,0 +1,234 @@
+/**
+ * websocketTransport.js
+ * WebSocket push transport used by realtimeManager for live marker updates
+ */
+
+import transportUtils from './transportUtils.js';
+
+const websocketTransport = {
+  /**
+   * Creates a new WebSocket transport
+   * @param {Object} options - Transport configuration
+   * @param {String} options.url - WebSocket endpoint (ws:// or wss://)
+   * @param {String|Array} options.protocols - Optional sub-protocols
+   * @param {Number} options.heartbeatInterval - ms between heartbeats (0 disables them)
+   * @param {Number} options.heartbeatTimeout - ms to wait for any message after a heartbeat
+   * @param {String|Function} options.heartbeatMessage - Payload sent as heartbeat
+   * @param {Function} options.isHeartbeatReply - Returns true for frames that only answer a heartbeat
+   * @param {Number} options.reconnectDelay - Initial reconnect delay in ms
+   * @param {Number} options.maxReconnectDelay - Maximum reconnect delay in ms
+   * @param {Function} options.mapFrame - Maps a parsed frame to marker data (null to ignore it)
+   * @param {Function} options.WebSocketImpl - WebSocket constructor (defaults to global WebSocket)
+   * @returns {Object} Transport exposing connect(), disconnect() and isConnected()
+   */
+  create(options = {}) {
+    if (!options.url) {
+      throw new Error('[WebSocketTransport] A url is required');
+    }
+
+    const transport = {
+      name: 'websocket',
+      logPrefix: '[WebSocketTransport]',
+
+      // Configuration
+      url: options.url,
+      protocols: options.protocols,
+      heartbeatInterval: options.heartbeatInterval !== undefined ? options.heartbeatInterval : 30000,
+      heartbeatTimeout: options.heartbeatTimeout !== undefined ? options.heartbeatTimeout : 10000,
+      heartbeatMessage: options.heartbeatMessage || JSON.stringify({ type: 'ping' }),
+      isHeartbeatReply: options.isHeartbeatReply || (frame => frame && frame.type === 'pong'),
+      reconnectDelay: options.reconnectDelay || 1000,
+      maxReconnectDelay: options.maxReconnectDelay || 30000,
+      mapFrame: options.mapFrame || null,
+      WebSocketImpl: options.WebSocketImpl || null,
+
+      // Connection state
+      socket: null,
+      handlers: null,
+      connected: false,
+      manuallyClosed: false,
+      reconnectAttempts: 0,
+      reconnectTimer: null,
+      heartbeatTimer: null,
+      heartbeatTimeoutTimer: null,
+
+      // Interface used by realtimeManager
+      connect: handlers => this.connect(transport, handlers),
+      disconnect: () => this.disconnect(transport),
+      isConnected: () => transport.connected
+    };
+
+    return transport;
+  },
+
+  /**
+   * Opens the socket
+   * @param {Object} transport - Transport created with create()
+   * @param {Object} handlers - Callbacks {onOpen, onFrame, onClose, onError}
+   */
+  connect(transport, handlers = transport.handlers) {
+    const SocketImpl = transport.WebSocketImpl || (typeof WebSocket === 'function' ? WebSocket : null);
+
+    if (!SocketImpl) {
+      throw new Error('[WebSocketTransport] No WebSocket implementation available');
+    }
+
+    transport.handlers = handlers || {};
+    transport.manuallyClosed = false;
+
+    let socket;
+    try {
+      socket = transport.protocols
+        ? new SocketImpl(transport.url, transport.protocols)
+        : new SocketImpl(transport.url);
+    } catch (error) {
+      transportUtils.notify(transport, 'onError', error);
+      transportUtils.scheduleReconnect(transport, () => this.connect(transport));
+      return;
+    }
+
+    transport.socket = socket;
+
+    socket.onopen = () => {
+      transport.connected = true;
+      transport.reconnectAttempts = 0;
+      this.startHeartbeat(transport);
+      transportUtils.notify(transport, 'onOpen');
+    };
+
+    socket.onmessage = event => {
+      this.handleMessage(transport, event.data);
+    };
+
+    socket.onerror = event => {
+      transportUtils.notify(transport, 'onError', new Error('[WebSocketTransport] Socket error'), event);
+    };
+
+    socket.onclose = event => {
+      const wasConnected = transport.connected;
+
+      transport.connected = false;
+      transport.socket = null;
+      this.stopHeartbeat(transport);
+
+      if (wasConnected) {
+        transportUtils.notify(transport, 'onClose', { code: event.code, reason: event.reason });
+      }
+
+      // Reconnect unless the transport was closed on purpose
+      if (!transport.manuallyClosed) {
+        transportUtils.scheduleReconnect(transport, () => this.connect(transport));
+      }
+    };
+  },
+
+  /**
+   * Closes the socket and stops reconnecting
+   * @param {Object} transport - Transport
+   */
+  disconnect(transport) {
+    transport.manuallyClosed = true;
+
+    if (transport.reconnectTimer) {
+      clearTimeout(transport.reconnectTimer);
+      transport.reconnectTimer = null;
+    }
+
+    this.stopHeartbeat(transport);
+
+    if (transport.socket) {
+      transport.socket.close(1000, 'Client disconnect');
+      transport.socket = null;
+    }
+
+    if (transport.connected) {
+      transport.connected = false;
+      transportUtils.notify(transport, 'onClose', { code: 1000, reason: 'Client disconnect' });
+    }
+  },
+
+  /**
+   * Handles an incoming socket message
+   * @param {Object} transport - Transport
+   * @param {String} raw - Raw message data
+   */
+  handleMessage(transport, raw) {
+    // Any message proves the connection is alive
+    if (transport.heartbeatTimeoutTimer) {
+      clearTimeout(transport.heartbeatTimeoutTimer);
+      transport.heartbeatTimeoutTimer = null;
+    }
+
+    let frame;
+    try {
+      frame = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+      transportUtils.notify(transport, 'onError', new Error(`[WebSocketTransport] Invalid frame: ${error.message}`));
+      return;
+    }
+
+    if (transport.isHeartbeatReply(frame)) {
+      return;
+    }
+
+    const data = transport.mapFrame ? transport.mapFrame(frame) : transportUtils.defaultMapFrame(frame);
+
+    if (data) {
+      transportUtils.notify(transport, 'onFrame', data);
+    }
+  },
+
+  /**
+   * Starts sending heartbeats on an open socket
+   * @param {Object} transport - Transport
+   */
+  startHeartbeat(transport) {
+    this.stopHeartbeat(transport);
+
+    if (!transport.heartbeatInterval) {
+      return;
+    }
+
+    transport.heartbeatTimer = setInterval(() => {
+      if (!transport.socket || !transport.connected) {
+        return;
+      }
+
+      const payload = typeof transport.heartbeatMessage === 'function'
+        ? transport.heartbeatMessage()
+        : transport.heartbeatMessage;
+      transport.socket.send(payload);
+
+      // Consider the connection dead if nothing arrives in time
+      if (transport.heartbeatTimeout && !transport.heartbeatTimeoutTimer) {
+        transport.heartbeatTimeoutTimer = setTimeout(() => {
+          transport.heartbeatTimeoutTimer = null;
+          transportUtils.notify(transport, 'onError', new Error('[WebSocketTransport] Heartbeat timeout'));
+
+          // Closing triggers onclose, which schedules the reconnect
+          if (transport.socket) {
+            transport.socket.close(4000, 'Heartbeat timeout');
+          }
+        }, transport.heartbeatTimeout);
+      }
+    }, transport.heartbeatInterval);
+  },
+
+  /**
+   * Stops heartbeat timers
+   * @param {Object} transport - Transport
+   */
+  stopHeartbeat(transport) {
+    if (transport.heartbeatTimer) {
+      clearInterval(transport.heartbeatTimer);
+      transport.heartbeatTimer = null;
+    }
+
+    if (transport.heartbeatTimeoutTimer) {
+      clearTimeout(transport.heartbeatTimeoutTimer);
+      transport.heartbeatTimeoutTimer = null;
+    }
+  }
+};
+
+export default websocketTransport;
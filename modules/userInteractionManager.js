@@ -3,13 +3,20 @@
  * Manages user interactions with the map and markers
  */
 
-import geoUtils from '../utilsMap/geoUtils.js';
-import markerManager from './markerManager.js';
-import markerRenderer from './markerRenderer.js';
 import iconSizeUtils from '../utilsMap/iconSizeUtils.js';
+import taskUtils from '../utilsMap/taskUtils.js';
 
 const userInteractionManager = {
+  /**
+   * Creates an isolated interaction manager for one map
+   * @returns {Object} New interaction manager instance
+   */
+  create() {
+    return Object.create(userInteractionManager);
+  },
+
   // References
+  managers: null, // Managers of the same map (set by mapManagers)
   mapCoordinator: null,
   map: null,
 
@@ -226,8 +233,8 @@ const userInteractionManager = {
     }, 'high');
 
     // Clear icon cache to force regeneration
-    if (forceUpdate && markerRenderer && typeof markerRenderer.clearIconCache === 'function') {
-      markerRenderer.clearIconCache();
+    if (forceUpdate && this.managers.markerRenderer && typeof this.managers.markerRenderer.clearIconCache === 'function') {
+      this.managers.markerRenderer.clearIconCache();
       //console.log('[UserInteractionManager] Icon cache cleared to force regeneration');
     }
   },
@@ -240,11 +247,25 @@ const userInteractionManager = {
     if (this.mapCoordinator.pendingUpdates && this.mapCoordinator.componentInstance) {
       const component = this.mapCoordinator.componentInstance;
 
+      // Real-time frames buffered during the interaction, as a single frame
+      const bufferedFrame = this.managers.realtimeManager.takePendingFrame();
+      const dataChanged = this.mapCoordinator.pendingDataUpdate || !bufferedFrame;
+
       // Reset state
       this.mapCoordinator.pendingUpdates = false;
+      this.mapCoordinator.pendingDataUpdate = false;
+
+      // Component data first, so real-time frames are applied on top of it
+      // (during replay it waits for replay to end, see replayManager.exit)
+      if (dataChanged && this.mapCoordinator.replay.active) {
+        this.mapCoordinator.replay.dataPending = true;
+      } else if (dataChanged) {
+        component.queueEvent('data_update', { data: component.dataP }, 'normal');
+      }
 
-      // Queue update event
-      component.queueEvent('data_update', { data: component.dataP }, 'normal');
+      if (bufferedFrame) {
+        component.queueEvent('realtime_update', bufferedFrame, 'normal');
+      }
     }
   },
 
@@ -252,14 +273,19 @@ const userInteractionManager = {
    * Applies icon size update to existing markers
    * @param {Object} coordinator - Coordinator state
    * @param {Object} iconSizes - Size configuration
+   * @param {AbortSignal} signal - Aborted when the event is interrupted (optional)
    * @returns {Promise} Promise that resolves when update is complete
    */
-  async applyIconSizeUpdate(coordinator, iconSizes) {
+  async applyIconSizeUpdate(coordinator, iconSizes, signal = null) {
     //console.log("APPLYING icon size update with sizes:", iconSizes.icon.size);
     try {
       // Request markerManager to update all icons
-      await markerManager.updateAllIconSizes(coordinator, iconSizes);
+      await this.managers.markerManager.updateAllIconSizes(coordinator, iconSizes, signal);
     } catch (error) {
+      // Interrupted: let the coordinator know the update didn't finish
+      if (taskUtils.isAbortError(error)) {
+        throw error;
+      }
       console.error('[UserInteractionManager] Error updating icon sizes:', error);
     }
 
@@ -270,9 +296,10 @@ const userInteractionManager = {
    * Handles zoom level changes
    * @param {Object} coordinator - Coordinator state
    * @param {Number} zoom - New zoom level
+   * @param {AbortSignal} signal - Aborted when the event is interrupted (optional)
    * @returns {Promise} Promise that resolves when handling is complete
    */
-  async handleZoomChange(coordinator, zoom) {
+  async handleZoomChange(coordinator, zoom, signal = null) {
     // Save previous zoom level
     const prevZoom = coordinator.previousZoom !== null ? coordinator.previousZoom : zoom;
 
@@ -302,9 +329,6 @@ const userInteractionManager = {
       this.updateIconSizes(zoom, true);
     }
 
-    // Save current zoom as previous for next time
-    coordinator.previousZoom = zoom;
-
     // Threshold for display mode change
     const clusterThreshold = 8;
 
@@ -313,16 +337,20 @@ const userInteractionManager = {
       // Activate clusters in distant zoom
       if (!coordinator.currentMarkerMode.includes('cluster')) {
         const newMode = coordinator.currentMarkerMode + '_cluster';
-        await markerManager.updateMarkerMode(coordinator, newMode);
+        await this.managers.markerManager.updateMarkerMode(coordinator, newMode, signal);
       }
     } else if (zoom > clusterThreshold && prevZoom <= clusterThreshold) {
       // Deactivate clusters in close zoom
       if (coordinator.currentMarkerMode.includes('cluster')) {
         const newMode = coordinator.currentMarkerMode.replace('_cluster', '');
-        await markerManager.updateMarkerMode(coordinator, newMode);
+        await this.managers.markerManager.updateMarkerMode(coordinator, newMode, signal);
       }
     }
 
+    // Save current zoom as previous for next time. Done last so that an
+    // interrupted change is handled again in full when it resumes.
+    coordinator.previousZoom = zoom;
+
     return Promise.resolve();
   },
 
@@ -330,19 +358,16 @@ const userInteractionManager = {
    * Handles changes in map visible bounds
    * @param {Object} coordinator - Coordinator state
    * @param {Object} bounds - New bounds
+   * @param {AbortSignal} signal - Aborted when the event is interrupted (optional)
    * @returns {Promise} Promise that resolves when handling is complete
    */
-  async handleBoundsChange(coordinator, bounds) {
+  async handleBoundsChange(coordinator, bounds, signal = null) {
     // Update current bounds
     coordinator.currentBounds = bounds;
 
-    // If bounds filtering is active, apply it
+    // If bounds filtering is active, only markers near the new view keep an instance
     if (coordinator.filterByBounds) {
-      const standardBounds = geoUtils.convertLeafletBounds(bounds);
-
-      // Filter markers by visibility
-      // Could be used to dynamically load/unload markers
-      // based on current view
+      await this.managers.markerManager.syncViewport(coordinator, signal);
     }
 
     return Promise.resolve();
@@ -384,6 +409,20 @@ const userInteractionManager = {
     }
   },
 
+  /**
+   * Handles a queued map_click event by passing the position on to the component
+   * @param {Object} coordinator - Coordinator state
+   * @param {Object} data - Click position {lat, lon}
+   * @returns {Promise} Promise that resolves when handling is complete
+   */
+  async handleMapClickEvent(coordinator, data) {
+    if (coordinator.componentInstance) {
+      coordinator.componentInstance.$emit('map-click', { lat: data.lat, lon: data.lon });
+    }
+
+    return Promise.resolve();
+  },
+
   /**
    * Handles marker clicks
    * @param {Object} coordinator - Coordinator state
@@ -392,14 +431,14 @@ const userInteractionManager = {
    */
   async handleMarkerClick(coordinator, markerId) {
     // Get the marker
-    const marker = markerManager.getMarkerById(markerId);
+    const marker = this.managers.markerManager.getMarkerById(markerId);
 
     if (!marker) {
       return Promise.resolve();
     }
 
     // Get marker data
-    const markerData = markerManager.markers.find(m => m.id === markerId);
+    const markerData = this.managers.markerManager.markers.find(m => m.id === markerId);
 
     // Custom actions on marker click
     // For example, show detailed information, change state, etc.
@@ -420,7 +459,7 @@ const userInteractionManager = {
    */
   async handleMarkerHover(coordinator, markerId, isEntering) {
     // Get the marker
-    const marker = markerManager.getMarkerById(markerId);
+    const marker = this.managers.markerManager.getMarkerById(markerId);
 
     if (!marker) {
       return Promise.resolve();
@@ -440,21 +479,49 @@ const userInteractionManager = {
     return Promise.resolve();
   },
 
+  /**
+   * Selects a marker by opening its popup (used to restore a shared view)
+   * @param {Object} coordinator - Coordinator state
+   * @param {String} markerId - Marker ID
+   * @returns {Promise} Promise that resolves when the popup is open
+   */
+  async handleMarkerSelect(coordinator, markerId) {
+    const markerManager = this.managers.markerManager;
+
+    // The marker may be far from the viewport, without an instance
+    const marker = await markerManager.materializeMarker(coordinator, markerId);
+
+    if (!marker) {
+      console.warn(`[UserInteractionManager] Marker to select not found: ${markerId}`);
+      return Promise.resolve();
+    }
+
+    // A clustered marker has to be uncovered first
+    if (markerManager.currentClusterMode && markerManager.clusterGroup.zoomToShowLayer) {
+      markerManager.clusterGroup.zoomToShowLayer(marker, () => marker.openPopup());
+    } else {
+      marker.openPopup();
+    }
+
+    return Promise.resolve();
+  },
+
   /**
    * Handles various map interactions
    * @param {Object} coordinator - Coordinator state
    * @param {String} eventType - Event type ('user_zoom_change', etc.)
    * @param {Object} data - Event data
+   * @param {AbortSignal} signal - Aborted when the event is interrupted (optional)
    * @returns {Promise} Promise that resolves when handling is complete
    */
-  async handleMapInteraction(coordinator, eventType, data) {
+  async handleMapInteraction(coordinator, eventType, data, signal = null) {
     switch (eventType) {
       case 'user_zoom_change':
-        await this.handleZoomChange(coordinator, data.zoom);
+        await this.handleZoomChange(coordinator, data.zoom, signal);
         break;
 
       case 'user_bounds_change':
-        await this.handleBoundsChange(coordinator, data.bounds);
+        await this.handleBoundsChange(coordinator, data.bounds, signal);
         break;
 
       case 'user_center_change':
@@ -469,8 +536,16 @@ const userInteractionManager = {
         await this.handleMarkerHover(coordinator, data.markerId, data.isEntering);
         break;
 
+      case 'map_click':
+        await this.handleMapClickEvent(coordinator, data);
+        break;
+
+      case 'select_marker':
+        await this.handleMarkerSelect(coordinator, data.markerId);
+        break;
+
       case 'update_icon_sizes':
-        await this.applyIconSizeUpdate(coordinator, data.iconSizes);
+        await this.applyIconSizeUpdate(coordinator, data.iconSizes, signal);
         break;
     }
 
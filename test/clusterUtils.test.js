@@ -0,0 +1,68 @@
+/**
+ * clusterUtils.test.js
+ * State and value summaries shown by cluster icons
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import clusterUtils from '../utilsMap/clusterUtils.js';
+import markerColors from '../utilsMap/markerColors.js';
+
+describe('clusterUtils state summary', () => {
+  it('counts numeric strings and numbers as one state', () => {
+    const summary = clusterUtils.summarize(['3', 3, 0], 'num_state_cluster', 10);
+
+    assert.equal(summary.count, 3);
+    assert.deepEqual(summary.breakdown.map(band => [band.state, band.count]), [[3, 2], [0, 1]]);
+  });
+
+  it('lists states worst first and colors the cluster by the worst one', () => {
+    const summary = clusterUtils.summarize([0, 7, 1, 4, 0, 42], 'num_state', 10, [{ 4: '#123456' }]);
+
+    assert.deepEqual(summary.breakdown.map(band => band.state), [4, 1, 7, 0, 42]);
+    assert.equal(summary.worstState, 4);
+    assert.equal(summary.color, '#123456');
+  });
+
+  it('ranks states by markerColors.stateSeverity', () => {
+    assert.equal(clusterUtils.getSeverityRank(3), 0);
+    assert.equal(clusterUtils.getSeverityRank('0'), markerColors.stateSeverity.length - 1);
+    assert.equal(clusterUtils.getSeverityRank(42), markerColors.stateSeverity.length);
+  });
+
+  it('summarizes an empty cluster as gray', () => {
+    const summary = clusterUtils.summarizeStates([], []);
+
+    assert.equal(summary.worstState, null);
+    assert.equal(summary.color, '#777777');
+  });
+});
+
+describe('clusterUtils value summary', () => {
+  it('breaks values down in bands of the mode range', () => {
+    const summary = clusterUtils.summarize([5, 30, 30, 99, 150, -3, 'n/a'], 'sc_hub_cn_cluster', 100);
+
+    assert.deepEqual(summary.breakdown.map(band => [band.from, band.to, band.count]), [
+      [0, 25, 2],
+      [25, 50, 2],
+      [75, 100, 2]
+    ]);
+    assert.equal(summary.count, 7);
+  });
+
+  it('reports the mean, min and max of numeric values', () => {
+    const summary = clusterUtils.summarize([10, 20, 60, null], 'sc_hub_cn', 100);
+
+    assert.equal(summary.mean, 30);
+    assert.equal(summary.min, 10);
+    assert.equal(summary.max, 60);
+    assert.equal(summary.color, markerColors.getValueColor(30, 100, 'sc_hub_cn'));
+  });
+
+  it('has no statistics without numeric values', () => {
+    const summary = clusterUtils.summarize([undefined], 'sc_hub_cn', 0);
+
+    assert.deepEqual([summary.mean, summary.min, summary.max, summary.color], [null, null, null, '#777777']);
+    assert.deepEqual(summary.breakdown, []);
+  });
+});
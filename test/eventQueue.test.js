@@ -0,0 +1,139 @@
+/**
+ * eventQueue.test.js
+ * Ordering, coalescing and frozen data of queued map events
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import eventQueue from '../modules/eventQueue.js';
+
+let nextId = 0;
+const event = (type, priority = 'normal', data = null) => ({ id: ++nextId, type, data, priority, timestamp: 0 });
+
+/**
+ * Takes every queued event
+ * @param {Object} queue - Queue state
+ * @returns {Array} Events in run order
+ */
+function drain(queue) {
+  const events = [];
+  let next;
+  while ((next = eventQueue.dequeue(queue))) {
+    events.push(next);
+  }
+  return events;
+}
+
+describe('eventQueue ordering', () => {
+  it('runs higher priorities first and keeps arrival order within a priority', () => {
+    const queue = eventQueue.createQueue();
+
+    eventQueue.enqueue(queue, event('a', 'low'));
+    eventQueue.enqueue(queue, event('b', 'normal'));
+    eventQueue.enqueue(queue, event('c', 'critical'));
+    eventQueue.enqueue(queue, event('d', 'normal'));
+    eventQueue.enqueue(queue, event('e', 'unknown'));
+
+    assert.deepEqual(drain(queue).map(e => e.type), ['c', 'b', 'd', 'e', 'a']);
+    assert.equal(queue.size, 0);
+  });
+
+  it('puts a requeued event before others of its priority', () => {
+    const queue = eventQueue.createQueue();
+
+    eventQueue.enqueue(queue, event('a'));
+    eventQueue.enqueue(queue, event('b', 'high'));
+    eventQueue.requeue(queue, event('interrupted'));
+
+    assert.deepEqual(drain(queue).map(e => e.type), ['b', 'interrupted', 'a']);
+  });
+
+  it('removes events matching a predicate and tracks metrics', () => {
+    const queue = eventQueue.createQueue();
+
+    eventQueue.enqueue(queue, event('a'));
+    eventQueue.enqueue(queue, event('b', 'high'));
+    eventQueue.enqueue(queue, event('a', 'low'));
+
+    assert.equal(eventQueue.remove(queue, e => e.type === 'a'), 2);
+
+    const metrics = eventQueue.getMetrics(queue);
+    assert.equal(metrics.depth, 1);
+    assert.equal(metrics.byPriority.high, 1);
+    assert.equal(metrics.maxDepth, 3);
+    assert.equal(metrics.enqueued, 3);
+    assert.equal(metrics.removed, 2);
+  });
+});
+
+describe('eventQueue coalescing', () => {
+  it("keeps only the newest event of a 'latest' type, at the higher priority", () => {
+    const queue = eventQueue.createQueue({ resize: 'latest' });
+
+    eventQueue.enqueue(queue, event('resize', 'high', { width: 1 }));
+    eventQueue.enqueue(queue, event('other'));
+    const replaced = eventQueue.enqueue(queue, event('resize', 'low', { width: 2 }));
+
+    assert.deepEqual(replaced.data, { width: 1 });
+    const events = drain(queue);
+    assert.deepEqual(events.map(e => [e.type, e.priority]), [['resize', 'high'], ['other', 'normal']]);
+    assert.deepEqual(events[0].data, { width: 2 });
+    assert.equal(queue.metrics.coalesced, 1);
+  });
+
+  it('combines data with a function rule and keeps both events when it returns undefined', () => {
+    const sum = (older, newer) => (newer.total === null ? undefined : { total: older.total + newer.total });
+    const queue = eventQueue.createQueue({ count: sum });
+
+    eventQueue.enqueue(queue, event('count', 'normal', { total: 1 }));
+    eventQueue.enqueue(queue, event('count', 'normal', { total: 2 }));
+    eventQueue.enqueue(queue, event('count', 'normal', { total: null }));
+
+    assert.deepEqual(drain(queue).map(e => e.data.total), [3, null]);
+  });
+
+  it('folds a requeued event into a newer queued one', () => {
+    const queue = eventQueue.createQueue({ count: (older, newer) => ({ total: older.total + newer.total }) });
+
+    eventQueue.enqueue(queue, event('count', 'normal', { total: 5 }));
+    const folded = eventQueue.requeue(queue, event('count', 'normal', { total: 1 }));
+
+    assert.deepEqual(folded.data, { total: 6 });
+    assert.equal(queue.size, 1);
+  });
+
+  it('leaves types without a rule alone', () => {
+    const queue = eventQueue.createQueue({ resize: 'latest' });
+
+    eventQueue.enqueue(queue, event('click'));
+    eventQueue.enqueue(queue, event('click'));
+
+    assert.equal(queue.size, 2);
+    assert.equal(eventQueue.supersedes(queue, 'resize', 'resize'), true);
+    assert.equal(eventQueue.supersedes(queue, 'click', 'click'), false);
+  });
+});
+
+describe('eventQueue.freezeData', () => {
+  it('stores a frozen copy of event data', () => {
+    const queue = eventQueue.createQueue();
+    const data = { list: [{ id: 'a' }] };
+
+    eventQueue.enqueue(queue, event('update', 'normal', data));
+    const stored = eventQueue.dequeue(queue).data;
+
+    assert.notEqual(stored, data);
+    assert.ok(Object.isFrozen(stored));
+    assert.equal(stored.list, data.list);
+    assert.ok(!Object.isFrozen(data));
+  });
+
+  it('leaves primitives, null and frozen data as they are', () => {
+    const frozen = Object.freeze({ a: 1 });
+
+    assert.equal(eventQueue.freezeData(null), null);
+    assert.equal(eventQueue.freezeData(3), 3);
+    assert.equal(eventQueue.freezeData(frozen), frozen);
+    assert.ok(Object.isFrozen(eventQueue.freezeData([1, 2])));
+  });
+});
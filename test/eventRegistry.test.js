@@ -0,0 +1,86 @@
+/**
+ * eventRegistry.test.js
+ * Per-map event registries and the coalescing rules they hand to the queue
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import eventRegistry from '../modules/eventRegistry.js';
+import eventQueue from '../modules/eventQueue.js';
+import realtimeManager from '../modules/realtimeManager.js';
+
+const handler = () => Promise.resolve();
+
+describe('eventRegistry', () => {
+  it('fills in the defaults of a definition', () => {
+    const registry = eventRegistry.create();
+    registry.register('custom', { handler, retry: { attempts: 2 } });
+
+    assert.deepEqual(registry.get('custom'), {
+      handler,
+      action: 'custom',
+      interruptible: true,
+      priority: 'normal',
+      retry: { attempts: 2, delay: 1000, backoff: 2 },
+      resolves: []
+    });
+    assert.ok(registry.list().includes('custom'));
+  });
+
+  it('keeps types registered for one map out of the others', () => {
+    const first = eventRegistry.create();
+    const second = eventRegistry.create();
+
+    first.register('custom', { handler, coalesce: 'latest' });
+    second.unregister('data_update');
+
+    assert.equal(second.get('custom'), null);
+    assert.equal(eventRegistry.get('custom'), null);
+    assert.equal(first.coalesceRules.custom, 'latest');
+    assert.equal(eventRegistry.coalesceRules.custom, undefined);
+    assert.ok(first.get('data_update'));
+    assert.equal(second.coalesceRules.data_update, undefined);
+    assert.equal(eventRegistry.coalesceRules.data_update, 'latest');
+  });
+
+  it('updates the coalescing rules used by the queue', () => {
+    const registry = eventRegistry.create();
+    const queue = eventQueue.createQueue(registry.coalesceRules);
+    const event = data => ({ type: 'custom', data, priority: 'normal' });
+
+    registry.register('custom', { handler, coalesce: 'latest' });
+    eventQueue.enqueue(queue, event(1));
+    eventQueue.enqueue(queue, event(2));
+    assert.equal(queue.size, 1);
+
+    // Registering again without a rule stops coalescing
+    registry.register('custom', { handler });
+    eventQueue.enqueue(queue, event(3));
+    assert.equal(queue.size, 2);
+  });
+
+  it('merges queued realtime frames with the map\'s real-time manager', () => {
+    const registry = eventRegistry.create();
+    const coordinator = { managers: { realtimeManager: realtimeManager.create() } };
+    const queue = eventQueue.createQueue(registry.coalesceRules);
+    const delta = seq => ({ type: 'realtime_update', priority: 'normal', data: { type: 'delta', seq, ops: [] } });
+
+    eventQueue.enqueue(queue, delta(1), coordinator);
+    eventQueue.enqueue(queue, delta(2), coordinator);
+    eventQueue.enqueue(queue, { type: 'realtime_update', priority: 'normal', data: null }, coordinator);
+
+    const merged = eventQueue.dequeue(queue);
+    assert.equal(merged.data.baseSeq, 1);
+    assert.equal(merged.data.seq, 2);
+    assert.equal(queue.size, 1);
+  });
+
+  it('rejects invalid definitions', () => {
+    const registry = eventRegistry.create();
+
+    assert.throws(() => registry.register('', { handler }), /event type name is required/);
+    assert.throws(() => registry.register('custom', {}), /needs a handler function/);
+    assert.throws(() => registry.register('custom', { handler, priority: 'urgent' }), /Unknown priority/);
+    assert.equal(registry.get('custom'), null);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * filterUtils.test.js
+ * Marker filter settings and the predicate built from them
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import filterUtils from '../utilsMap/filterUtils.js';
+
+const marker = (name, state, type = 'vessel') => ({ name, var: state, type });
+
+/**
+ * Gets the names of the markers a filter shows
+ * @param {Object} filter - Filter
+ * @param {String} mode - Marker mode
+ * @param {Array} markers - Marker data
+ * @returns {Array} Names of matching markers
+ */
+function shown(filter, mode, markers) {
+  const predicate = filterUtils.createPredicate(filter, mode);
+  return markers.filter(predicate).map(m => m.name);
+}
+
+describe('filterUtils.normalize', () => {
+  it('fills in every field', () => {
+    assert.deepEqual(filterUtils.normalize(null), { states: [], types: [], name: '', min: null, max: null });
+  });
+
+  it('converts states and bounds to numbers and trims the name', () => {
+    const filter = filterUtils.normalize({ states: ['1', 3], types: ['buoy'], name: '  Alpha ', min: '5', max: 'x' });
+
+    assert.deepEqual(filter, { states: [1, 3], types: ['buoy'], name: 'Alpha', min: 5, max: null });
+  });
+});
+
+describe('filterUtils.isActive', () => {
+  it('is only active when a field is set', () => {
+    assert.equal(filterUtils.isActive({}), false);
+    assert.equal(filterUtils.isActive({ name: '   ', min: '' }), false);
+    assert.equal(filterUtils.isActive({ min: 0 }), true);
+    assert.equal(filterUtils.isActive({ states: [0] }), true);
+    assert.equal(filterUtils.createPredicate({}, 'num_state'), null);
+  });
+});
+
+describe('filterUtils.createPredicate', () => {
+  const markers = [marker('Alpha One', 0), marker('alpha two', 3, 'buoy'), marker('Bravo', '3'), marker('Charlie 12', 20)];
+
+  it('matches names as case-insensitive text', () => {
+    assert.deepEqual(shown({ name: 'ALPHA' }, 'num_state', markers), ['Alpha One', 'alpha two']);
+  });
+
+  it('matches names with a regular expression', () => {
+    assert.deepEqual(shown({ name: '/^alpha/' }, 'num_state', markers), ['alpha two']);
+    assert.deepEqual(shown({ name: '/^alpha/gi' }, 'num_state', markers), ['Alpha One', 'alpha two']);
+    assert.deepEqual(shown({ name: '/\\d+$/' }, 'num_state', markers), ['Charlie 12']);
+  });
+
+  it('matches an invalid regular expression as text', () => {
+    const names = [marker('a/(b/ c', 0), marker('abc', 0)];
+
+    assert.deepEqual(shown({ name: '/(B/' }, 'num_state', names), ['a/(b/ c']);
+  });
+
+  it('filters states only in state modes', () => {
+    assert.deepEqual(shown({ states: [3] }, 'num_state_cluster', markers), ['alpha two', 'Bravo']);
+    assert.deepEqual(shown({ states: [3] }, 'sc_hub_cn', markers), ['Alpha One', 'alpha two', 'Bravo', 'Charlie 12']);
+  });
+
+  it('filters the value range only in metric modes', () => {
+    assert.deepEqual(shown({ min: 3, max: 10 }, 'sc_hub_cn', markers), ['alpha two', 'Bravo']);
+    assert.deepEqual(shown({ min: 3, max: 10 }, 'num_state', markers), ['Alpha One', 'alpha two', 'Bravo', 'Charlie 12']);
+  });
+
+  it('combines fields', () => {
+    assert.deepEqual(shown({ types: ['vessel'], name: 'a', min: 1 }, 'sc_hub_cn', markers), ['Bravo', 'Charlie 12']);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * geoUtils.test.js
+ * Bounds padding and date line splitting used by viewport filtering
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import geoUtils from '../utilsMap/geoUtils.js';
+
+describe('geoUtils.padBounds', () => {
+  it('grows bounds by a fraction of their size on every side', () => {
+    const padded = geoUtils.padBounds({ north: 20, south: 10, east: 40, west: 20 }, 0.5);
+
+    assert.deepEqual(padded, { north: 25, south: 5, east: 50, west: 10 });
+  });
+
+  it('clamps latitudes to the poles but not longitudes', () => {
+    const padded = geoUtils.padBounds({ north: 80, south: -80, east: 170, west: 150 }, 0.5);
+
+    assert.equal(padded.north, 90);
+    assert.equal(padded.south, -90);
+    assert.equal(padded.east, 180);
+    assert.equal(padded.west, 140);
+  });
+});
+
+describe('geoUtils.splitBoundsAtDateLine', () => {
+  it('keeps bounds within -180..180 as they are', () => {
+    const bounds = { north: 10, south: -10, east: 30, west: -30 };
+
+    assert.deepEqual(geoUtils.splitBoundsAtDateLine(bounds), [bounds]);
+  });
+
+  it('splits bounds crossing the date line in two', () => {
+    const parts = geoUtils.splitBoundsAtDateLine({ north: 10, south: -10, east: 200, west: 160 });
+
+    assert.deepEqual(parts, [
+      { north: 10, south: -10, east: 180, west: 160 },
+      { north: 10, south: -10, east: -160, west: -180 }
+    ]);
+  });
+
+  it('brings bounds of other world copies back to the original one', () => {
+    assert.deepEqual(
+      geoUtils.splitBoundsAtDateLine({ north: 10, south: -10, east: 400, west: 370 }),
+      [{ north: 10, south: -10, east: 40, west: 10 }]
+    );
+    assert.deepEqual(
+      geoUtils.splitBoundsAtDateLine({ north: 10, south: -10, east: -340, west: -370 }),
+      [{ north: 10, south: -10, east: 20, west: -10 }]
+    );
+  });
+
+  it('covers the whole world when the view is wider than it', () => {
+    assert.deepEqual(
+      geoUtils.splitBoundsAtDateLine({ north: 60, south: -60, east: 300, west: -300 }),
+      [{ north: 60, south: -60, east: 180, west: -180 }]
+    );
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * realtimeManager.test.js
+ * Error backoff, delta sequencing and frame coalescing of the real-time manager
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import realtimeManager from '../modules/realtimeManager.js';
+
+/**
+ * Creates a real-time manager wired to a plain coordinator
+ * @returns {Object} Real-time manager instance
+ */
+function createManager() {
+  const manager = realtimeManager.create();
+  manager.mapCoordinator = { realtimeState: 'running' };
+  return manager;
+}
+
+/**
+ * Attaches fake managers that record the calls made to them
+ * @param {Object} manager - Real-time manager instance
+ * @returns {Array} Calls as [method, argument]
+ */
+function recordCalls(manager) {
+  const calls = [];
+
+  manager.managers = {
+    markerManager: {
+      updateMarkersFromData: (coordinator, frame) => calls.push(['updateMarkersFromData', frame.seq]),
+      applyDelta: (coordinator, ops) => calls.push(['applyDelta', ops.length]),
+      processMarkers: (coordinator, list) => calls.push(['processMarkers', list.length]),
+      getSnapshotData: () => ({ list: [] })
+    },
+    frameRecorder: { record() {} }
+  };
+
+  return calls;
+}
+
+describe('realtimeManager.getRetryDelay', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = createManager();
+    manager.retryInterval = 1000;
+    manager.maxRetryInterval = 10000;
+  });
+
+  it('starts at the retry interval and doubles with each error', () => {
+    const delays = [1, 2, 3, 4].map(count => {
+      manager.errorCount = count;
+      return manager.getRetryDelay(false);
+    });
+
+    assert.deepEqual(delays, [1000, 2000, 4000, 8000]);
+  });
+
+  it('is capped at maxRetryInterval', () => {
+    manager.errorCount = 10;
+
+    assert.equal(manager.getRetryDelay(false), 10000);
+  });
+
+  it('keeps the jitter within +/- retryJitter of the delay', t => {
+    manager.errorCount = 2;
+    manager.retryJitter = 0.2;
+
+    t.mock.method(Math, 'random', () => 0);
+    assert.equal(manager.getRetryDelay(), 1600);
+
+    Math.random.mock.mockImplementation(() => 0.999999);
+    assert.equal(manager.getRetryDelay(), 2400);
+
+    Math.random.mock.mockImplementation(() => 0.5);
+    assert.equal(manager.getRetryDelay(), 2000);
+  });
+
+  it('skips the jitter when disabled', t => {
+    manager.errorCount = 1;
+    t.mock.method(Math, 'random', () => 0);
+
+    assert.equal(manager.getRetryDelay(false), 1000);
+
+    manager.retryJitter = 0;
+    assert.equal(manager.getRetryDelay(), 1000);
+  });
+});
+
+describe('realtimeManager error tracking', () => {
+  let manager;
+
+  beforeEach(t => {
+    manager = createManager();
+    t.mock.method(console, 'warn', () => {});
+  });
+
+  it('retries until maxConsecutiveErrors, then pauses', () => {
+    manager.handleUpdateError(new Error('timeout'));
+    assert.equal(manager.mapCoordinator.realtimeState, 'retrying');
+    assert.equal(manager.mapCoordinator.realtimeErrorCount, 1);
+    assert.equal(manager.mapCoordinator.realtimeLastError.message, 'timeout');
+
+    manager.handleUpdateError(new Error('timeout'));
+    manager.handleUpdateError(new Error('timeout'));
+    assert.equal(manager.mapCoordinator.realtimeState, 'paused_errors');
+    assert.equal(manager.errorCount, 3);
+  });
+
+  it('resets the error count and resumes after a success', () => {
+    manager.errorCount = 2;
+    manager.handleUpdateError('server down');
+    assert.equal(manager.lastError.message, 'server down');
+
+    manager.handleUpdateSuccess();
+    assert.equal(manager.errorCount, 0);
+    assert.equal(manager.mapCoordinator.realtimeErrorCount, 0);
+    assert.equal(manager.mapCoordinator.realtimeState, 'running');
+  });
+});
+
+describe('realtimeManager.applyFrame', () => {
+  const delta = (seq, extra = {}) => ({ type: 'delta', seq, ops: [{ op: 'remove', id: 'a' }], ...extra });
+  let manager;
+  let calls;
+
+  beforeEach(async () => {
+    manager = createManager();
+    calls = recordCalls(manager);
+    await manager.applyFrame(manager.mapCoordinator, { seq: 5, list: [] });
+  });
+
+  it('applies a snapshot, then the next delta in sequence', async () => {
+    await manager.applyFrame(manager.mapCoordinator, delta(6));
+
+    assert.deepEqual(calls, [['updateMarkersFromData', 5], ['applyDelta', 1]]);
+    assert.equal(manager.lastSequence, 6);
+  });
+
+  it('ignores duplicate and out-of-date deltas', async () => {
+    await manager.applyFrame(manager.mapCoordinator, delta(5));
+    await manager.applyFrame(manager.mapCoordinator, delta(3));
+
+    assert.deepEqual(calls, [['updateMarkersFromData', 5]]);
+    assert.equal(manager.lastSequence, 5);
+  });
+
+  it('resyncs from a full snapshot after a gap', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const reset = t.mock.fn();
+    manager.dataSource = { reset, fetchData: async () => ({ seq: 9, list: [{ id: 'a' }, { id: 'b' }] }) };
+
+    await manager.applyFrame(manager.mapCoordinator, delta(8));
+
+    assert.equal(reset.mock.callCount(), 1);
+    assert.deepEqual(calls, [['updateMarkersFromData', 5], ['processMarkers', 2]]);
+    assert.equal(manager.lastSequence, 9);
+  });
+
+  it('resyncs when coalesced deltas carry a gap', async t => {
+    t.mock.method(console, 'warn', () => {});
+    manager.dataSource = { fetchData: async () => ({ seq: 7, list: [] }) };
+
+    await manager.applyFrame(manager.mapCoordinator, delta(7, { baseSeq: 6, hasGap: true }));
+
+    assert.deepEqual(calls, [['updateMarkersFromData', 5], ['processMarkers', 0]]);
+  });
+
+  it('fails the resync when no snapshot is available', async t => {
+    t.mock.method(console, 'warn', () => {});
+    manager.dataSource = { fetchData: async () => null };
+
+    await assert.rejects(manager.applyFrame(manager.mapCoordinator, delta(8)), /Full resync failed/);
+    assert.equal(manager.lastSequence, null);
+  });
+});
+
+describe('realtimeManager.coalesceFrames', () => {
+  const manager = realtimeManager.create();
+  const upsert = (id, value) => ({ op: 'upsert', id, marker: { id, var: value } });
+
+  it('keeps the newer snapshot over anything buffered', () => {
+    const snapshot = { seq: 4, list: [] };
+
+    assert.equal(manager.coalesceFrames(null, snapshot), snapshot);
+    assert.equal(manager.coalesceFrames({ type: 'delta', seq: 3, ops: [] }, snapshot), snapshot);
+  });
+
+  it('folds a delta into a buffered snapshot', () => {
+    const frame = manager.coalesceFrames(
+      { seq: 1, list: [{ id: 'a', var: 0 }, { id: 'b', var: 0 }] },
+      { type: 'delta', seq: 2, ops: [{ op: 'patch', id: 'a', fields: { var: 2 } }, { op: 'remove', id: 'b' }, upsert('c', 1)] }
+    );
+
+    assert.deepEqual(frame, { seq: 2, list: [{ id: 'a', var: 2 }, { id: 'c', var: 1 }] });
+  });
+
+  it('marks a gap after a buffered snapshot', () => {
+    const frame = manager.coalesceFrames({ seq: 1, list: [] }, { type: 'delta', seq: 3, ops: [upsert('a', 0)] });
+
+    assert.deepEqual(frame, { type: 'delta', seq: 3, hasGap: true, ops: [] });
+  });
+
+  it('concatenates consecutive deltas from the first sequence number', () => {
+    let frame = manager.coalesceFrames({ type: 'delta', seq: 2, ops: [upsert('a', 0)] }, { type: 'delta', seq: 3, ops: [upsert('b', 0)] });
+    frame = manager.coalesceFrames(frame, { type: 'delta', seq: 4, ops: [upsert('c', 0)] });
+
+    assert.equal(frame.baseSeq, 2);
+    assert.equal(frame.seq, 4);
+    assert.equal(frame.hasGap, false);
+    assert.deepEqual(frame.ops.map(operation => operation.id), ['a', 'b', 'c']);
+  });
+
+  it('keeps the gap flag once deltas skip a sequence number', () => {
+    let frame = manager.coalesceFrames({ type: 'delta', seq: 2, ops: [] }, { type: 'delta', seq: 4, ops: [] });
+    frame = manager.coalesceFrames(frame, { type: 'delta', seq: 5, ops: [] });
+
+    assert.equal(frame.hasGap, true);
+    assert.equal(frame.baseSeq, 2);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * snapshotCache.test.js
+ * Stale state and storage of the cached map snapshot
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import snapshotCache from '../modules/snapshotCache.js';
+
+/**
+ * Creates an in-memory stand-in for localStorage
+ * @returns {Object} Storage with getItem, setItem and removeItem
+ */
+function createStorage() {
+  const items = new Map();
+
+  return {
+    items,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+describe('snapshotCache', () => {
+  let cache;
+  let storage;
+  let markers;
+
+  beforeEach(() => {
+    storage = createStorage();
+    globalThis.localStorage = storage;
+
+    markers = [{ id: 'a', lat: 1, lon: 2 }];
+    cache = snapshotCache.create();
+    cache.managers = { markerManager: { getSnapshotData: () => ({ list: markers }) } };
+    cache.initialize({ staleSince: 1000, replay: { active: false } });
+  });
+
+  afterEach(() => {
+    cache.clear();
+    delete globalThis.localStorage;
+  });
+
+  it('clears the stale state on fresh data and writes it on flush', () => {
+    cache.markFresh({ list: [], map_url: 'world.png', lat: 10, lon: 20, scale: 2 });
+
+    assert.equal(cache.mapCoordinator.staleSince, null);
+    assert.ok(cache.saveTimer);
+    assert.equal(storage.items.size, 0);
+
+    cache.flush();
+
+    const entry = JSON.parse(storage.getItem(cache.storageKey));
+    assert.equal(cache.saveTimer, null);
+    assert.deepEqual(entry.data, { map_url: 'world.png', lat: 10, lon: 20, scale: 2, list: markers });
+    assert.equal(typeof entry.time, 'number');
+  });
+
+  it('keeps the map settings of the last full data for delta frames', () => {
+    cache.markFresh({ list: [], map_url: 'world.png', lat: 10, lon: 20, scale: 2 });
+    cache.markFresh({ type: 'delta', seq: 2, ops: [] });
+    cache.flush();
+
+    assert.equal(JSON.parse(storage.getItem(cache.storageKey)).data.map_url, 'world.png');
+  });
+
+  it('does not store replayed frames or an empty map', () => {
+    cache.mapCoordinator.replay.active = true;
+    cache.save();
+    assert.equal(storage.items.size, 0);
+
+    cache.mapCoordinator.replay.active = false;
+    markers = [];
+    cache.save();
+    assert.equal(storage.items.size, 0);
+  });
+
+  it('restores a stored snapshot with its map settings', () => {
+    storage.setItem(cache.storageKey, JSON.stringify({ time: 5, data: { map_url: 'world.png', lat: 1, lon: 2, scale: 3, list: markers } }));
+
+    const entry = cache.load();
+
+    assert.equal(entry.time, 5);
+    assert.deepEqual(entry.data.list, markers);
+    assert.deepEqual(cache.mapSettings, { map_url: 'world.png', lat: 1, lon: 2, scale: 3 });
+  });
+
+  it('ignores missing or malformed snapshots', t => {
+    t.mock.method(console, 'warn', () => {});
+
+    assert.equal(cache.load(), null);
+
+    storage.setItem(cache.storageKey, '{not json');
+    assert.equal(cache.load(), null);
+
+    storage.setItem(cache.storageKey, JSON.stringify({ time: 5, data: { list: 'a' } }));
+    assert.equal(cache.load(), null);
+  });
+
+  it('works without storage', () => {
+    delete globalThis.localStorage;
+
+    assert.equal(cache.load(), null);
+    cache.save();
+  });
+});
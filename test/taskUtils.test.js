@@ -0,0 +1,92 @@
+/**
+ * taskUtils.test.js
+ * Abort checkpoints and frame-budgeted slices of interruptible work
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import taskUtils from '../utilsMap/taskUtils.js';
+
+describe('taskUtils.checkpoint', () => {
+  it('continues while the signal is not aborted', async () => {
+    const controller = new AbortController();
+
+    await taskUtils.checkpoint(controller.signal, 0, 10);
+    await taskUtils.checkpoint(controller.signal, 10, 10);
+    await taskUtils.checkpoint(null, 5, 10);
+  });
+
+  it('throws an AbortError once the signal is aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(taskUtils.checkpoint(controller.signal, 3, 10), error => taskUtils.isAbortError(error));
+  });
+
+  it('stops a loop at its next checkpoint after an abort', async () => {
+    const controller = new AbortController();
+    let processed = 0;
+
+    const loop = async () => {
+      for (let i = 0; i < 100; i++) {
+        await taskUtils.checkpoint(controller.signal, i, 10);
+        processed++;
+        if (i === 24) {
+          controller.abort();
+        }
+      }
+    };
+
+    await assert.rejects(loop(), { name: 'AbortError' });
+    assert.equal(processed, 25);
+  });
+});
+
+describe('taskUtils.sliceCheckpoint', () => {
+  it('keeps working while the budget lasts', async () => {
+    const slice = taskUtils.createSlice(60000);
+    let yields = 0;
+
+    await taskUtils.sliceCheckpoint(null, slice, () => yields++);
+
+    assert.equal(yields, 0);
+    assert.equal(slice.slices, 1);
+  });
+
+  it('yields and starts a new slice once the budget is spent', async () => {
+    const slice = taskUtils.createSlice(0);
+    const start = slice.start;
+    let yields = 0;
+
+    await taskUtils.sliceCheckpoint(null, slice, () => yields++);
+    await taskUtils.sliceCheckpoint(null, slice);
+
+    assert.equal(yields, 1);
+    assert.equal(slice.slices, 3);
+    assert.ok(slice.start >= start);
+  });
+
+  it('throws an AbortError once the signal is aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(taskUtils.sliceCheckpoint(controller.signal, taskUtils.createSlice(60000)), { name: 'AbortError' });
+  });
+
+  it('stops after yielding if aborted meanwhile', async () => {
+    const controller = new AbortController();
+    const slice = taskUtils.createSlice(0);
+
+    await assert.rejects(taskUtils.sliceCheckpoint(controller.signal, slice, () => controller.abort()), { name: 'AbortError' });
+    assert.equal(slice.slices, 2);
+  });
+});
+
+describe('taskUtils.isAbortError', () => {
+  it('tells abort errors from other failures', () => {
+    assert.equal(taskUtils.isAbortError(taskUtils.createAbortError()), true);
+    assert.equal(taskUtils.isAbortError(new DOMException('Aborted', 'AbortError')), true);
+    assert.equal(taskUtils.isAbortError(new Error('Network error')), false);
+    assert.equal(taskUtils.isAbortError(null), false);
+  });
+});
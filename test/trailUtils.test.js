@@ -0,0 +1,63 @@
+/**
+ * trailUtils.test.js
+ * Trail history and fading segments split at the date line
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import trailUtils from '../utilsMap/trailUtils.js';
+
+describe('trailUtils.addPoint', () => {
+  it('keeps the newest positions up to the limit', () => {
+    const trail = [];
+
+    [1, 2, 3, 4].forEach(lat => trailUtils.addPoint(trail, { lat, lon: 0 }, 3));
+
+    assert.deepEqual(trail.map(point => point.lat), [2, 3, 4]);
+  });
+
+  it('normalizes longitudes', () => {
+    const trail = trailUtils.addPoint([], { lat: 0, lon: 190 }, 3);
+
+    assert.deepEqual(trail, [{ lat: 0, lon: -170 }]);
+  });
+});
+
+describe('trailUtils.splitAtDateLine', () => {
+  it('keeps a line that does not cross the date line', () => {
+    assert.deepEqual(trailUtils.splitAtDateLine({ lat: 0, lon: 10 }, { lat: 5, lon: 20 }), [
+      [[0, 10], [5, 20]]
+    ]);
+  });
+
+  it('splits an eastward crossing at the latitude it meets the date line', () => {
+    assert.deepEqual(trailUtils.splitAtDateLine({ lat: 0, lon: 170 }, { lat: 10, lon: -170 }), [
+      [[0, 170], [5, 180]],
+      [[5, -180], [10, -170]]
+    ]);
+  });
+
+  it('splits a westward crossing', () => {
+    assert.deepEqual(trailUtils.splitAtDateLine({ lat: 0, lon: -175 }, { lat: 20, lon: 165 }), [
+      [[0, -175], [5, -180]],
+      [[5, 180], [20, 165]]
+    ]);
+  });
+});
+
+describe('trailUtils.buildSegments', () => {
+  it('fades from the oldest to the newest step', () => {
+    const trail = [{ lat: 0, lon: 0 }, { lat: 1, lon: 1 }, { lat: 2, lon: 2 }, { lat: 3, lon: 3 }];
+
+    assert.deepEqual(trailUtils.buildSegments(trail, 0.2, 0.8).map(segment => segment.opacity), [0.2, 0.5, 0.8]);
+  });
+
+  it('gives both halves of a split step the same opacity', () => {
+    const trail = [{ lat: 0, lon: 160 }, { lat: 0, lon: 170 }, { lat: 0, lon: -170 }];
+    const segments = trailUtils.buildSegments(trail, 0.2, 0.8);
+
+    assert.deepEqual(segments.map(segment => segment.opacity), [0.2, 0.8, 0.8]);
+    assert.equal(trailUtils.buildSegments(trail.slice(0, 2), 0.2, 0.8)[0].opacity, 0.8);
+    assert.deepEqual(trailUtils.buildSegments(trail.slice(0, 1), 0.2, 0.8), []);
+  });
+});
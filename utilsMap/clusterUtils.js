@@ -0,0 +1,123 @@
+/**
+ * clusterUtils.js
+ * Pure logic for cluster icons: summarizes the markers of a cluster by
+ * state (or by value in metric modes) so a cluster shows what it hides
+ */
+
+import markerColors from './markerColors.js';
+
+const clusterUtils = {
+  // Value ranges a cluster is broken down into in metric modes
+  valueBands: 4,
+
+  /**
+   * Gets the marker mode without its cluster suffix
+   * @param {String} mode - Marker mode (e.g. 'num_state_cluster')
+   * @returns {String} Base mode (e.g. 'num_state')
+   */
+  getBaseMode(mode) {
+    return (mode || 'num_state').replace('_cluster', '');
+  },
+
+  /**
+   * Gets the rank of a state, 0 being the most severe
+   * @param {Number} state - State value
+   * @returns {Number} Rank (states not in markerColors.stateSeverity come last)
+   */
+  getSeverityRank(state) {
+    const rank = markerColors.stateSeverity.indexOf(Number(state));
+    return rank === -1 ? markerColors.stateSeverity.length : rank;
+  },
+
+  /**
+   * Summarizes the markers of a cluster
+   * @param {Array} values - Marker values (marker data 'var': state or mode value)
+   * @param {String} mode - Marker mode
+   * @param {Number} modeMax - Maximum value of the mode
+   * @param {Array} colorTables - State color tables (see markerColors.getStateColor)
+   * @returns {Object} Summary {count, color, breakdown: [{key, count, color, ...}], worstState | mean, min, max}
+   */
+  summarize(values, mode, modeMax, colorTables = []) {
+    const baseMode = this.getBaseMode(mode);
+
+    return baseMode === 'num_state'
+      ? this.summarizeStates(values, colorTables)
+      : this.summarizeValues(values, baseMode, modeMax);
+  },
+
+  /**
+   * Summarizes states: colored by the worst state, broken down per state (worst first)
+   * @param {Array} states - Marker states
+   * @param {Array} colorTables - State color tables
+   * @returns {Object} Summary {count, color, breakdown, worstState}
+   */
+  summarizeStates(states, colorTables) {
+    const counts = new Map();
+
+    // States may come as numbers or numeric strings ('3' and 3 are one state)
+    states.forEach(value => {
+      const state = Number(value);
+      counts.set(state, (counts.get(state) || 0) + 1);
+    });
+
+    const breakdown = [...counts.entries()]
+      .sort((a, b) => this.getSeverityRank(a[0]) - this.getSeverityRank(b[0]))
+      .map(([state, count]) => ({
+        key: state,
+        state,
+        count,
+        color: markerColors.getStateColor(state, colorTables)
+      }));
+
+    const worstState = breakdown.length > 0 ? breakdown[0].state : null;
+
+    return {
+      count: states.length,
+      color: worstState !== null ? breakdown[0].color : '#777777',
+      breakdown,
+      worstState
+    };
+  },
+
+  /**
+   * Summarizes mode values: colored by the mean value, broken down in value bands
+   * @param {Array} values - Marker values
+   * @param {String} mode - Base marker mode
+   * @param {Number} modeMax - Maximum value of the mode
+   * @returns {Object} Summary {count, color, breakdown, mean, min, max}
+   */
+  summarizeValues(values, mode, modeMax) {
+    const max = modeMax > 0 ? modeMax : 100;
+    const bandSize = max / this.valueBands;
+    const numbers = values.filter(value => typeof value === 'number' && !isNaN(value));
+
+    const breakdown = [];
+    for (let i = 0; i < this.valueBands; i++) {
+      breakdown.push({
+        key: i,
+        from: i * bandSize,
+        to: (i + 1) * bandSize,
+        count: 0,
+        color: markerColors.getValueColor((i + 0.5) * bandSize, max, mode)
+      });
+    }
+
+    numbers.forEach(value => {
+      const band = Math.min(Math.max(Math.floor(value / bandSize), 0), this.valueBands - 1);
+      breakdown[band].count++;
+    });
+
+    const mean = numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+
+    return {
+      count: values.length,
+      color: mean !== null ? markerColors.getValueColor(mean, max, mode) : '#777777',
+      breakdown: breakdown.filter(band => band.count > 0),
+      mean,
+      min: numbers.length > 0 ? numbers.reduce((a, b) => Math.min(a, b)) : null,
+      max: numbers.length > 0 ? numbers.reduce((a, b) => Math.max(a, b)) : null
+    };
+  }
+};
+
+export default clusterUtils;
@@ -0,0 +1,121 @@
+/**
+ * filterUtils.js
+ * Pure logic for the marker filter: builds the predicate markers are
+ * matched against from the filter panel's settings
+ */
+
+import clusterUtils from './clusterUtils.js';
+
+const filterUtils = {
+  /**
+   * Gets a filter with every field set (empty fields match every marker)
+   * @param {Object} filter - Filter {states, types, name, min, max} (fields optional)
+   * @returns {Object} Filter {states, types, name, min, max}
+   */
+  normalize(filter = {}) {
+    const source = filter || {};
+
+    return {
+      states: Array.isArray(source.states) ? source.states.map(Number) : [],
+      types: Array.isArray(source.types) ? source.types.slice() : [],
+      name: typeof source.name === 'string' ? source.name.trim() : '',
+      min: this.toNumber(source.min),
+      max: this.toNumber(source.max)
+    };
+  },
+
+  /**
+   * Checks if a filter can hide markers
+   * @param {Object} filter - Filter (see normalize)
+   * @returns {Boolean} True if any field is set
+   */
+  isActive(filter) {
+    const f = this.normalize(filter);
+    return f.states.length > 0 || f.types.length > 0 || f.name !== '' || f.min !== null || f.max !== null;
+  },
+
+  /**
+   * Creates the matcher of a name filter: '/pattern/flags' is a regular
+   * expression, anything else a case-insensitive substring
+   * @param {String} name - Name filter
+   * @returns {Function} Function (name) => Boolean
+   */
+  createNameMatcher(name) {
+    const regexMatch = /^\/(.+)\/([gimsuy]*)$/.exec(name);
+
+    if (regexMatch) {
+      try {
+        // Without 'g', test() keeps no state between markers
+        const regex = new RegExp(regexMatch[1], regexMatch[2].replace('g', ''));
+        return value => regex.test(value);
+      } catch (error) {
+        // Invalid expression (e.g. while it is being typed): match it as text
+      }
+    }
+
+    const text = name.toLowerCase();
+    return value => value.toLowerCase().includes(text);
+  },
+
+  /**
+   * Creates the predicate markers are shown by. States only apply in state
+   * modes and the value range only in metric modes, as marker data 'var'
+   * holds the state or the mode value.
+   * @param {Object} filter - Filter (see normalize)
+   * @param {String} mode - Marker mode
+   * @returns {Function|null} Function (markerData) => Boolean, or null if the filter shows every marker
+   */
+  createPredicate(filter, mode) {
+    if (!this.isActive(filter)) {
+      return null;
+    }
+
+    const f = this.normalize(filter);
+    const isStateMode = clusterUtils.getBaseMode(mode) === 'num_state';
+    const states = !isStateMode || f.states.length === 0 ? null : new Set(f.states);
+    const types = f.types.length > 0 ? new Set(f.types) : null;
+    const matchName = f.name !== '' ? this.createNameMatcher(f.name) : null;
+    const min = isStateMode ? null : f.min;
+    const max = isStateMode ? null : f.max;
+
+    return markerData => {
+      if (states && !states.has(Number(markerData.var))) {
+        return false;
+      }
+
+      if (types && !types.has(markerData.type)) {
+        return false;
+      }
+
+      if (matchName && !matchName(String(markerData.name || ''))) {
+        return false;
+      }
+
+      if (min !== null || max !== null) {
+        const value = parseFloat(markerData.var);
+
+        if (isNaN(value) || (min !== null && value < min) || (max !== null && value > max)) {
+          return false;
+        }
+      }
+
+      return true;
+    };
+  },
+
+  /**
+   * Converts a filter bound to a number
+   * @param {*} value - Bound (number, numeric string, or empty)
+   * @returns {Number|null} Number, or null if unset
+   */
+  toNumber(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const number = Number(value);
+    return isFinite(number) ? number : null;
+  }
+};
+
+export default filterUtils;
@@ -90,6 +90,52 @@ const geoUtils = {
     };
   },
 
+  /**
+   * Grows bounds by a fraction of their size on every side
+   * @param {Object} bounds - Bounds {north, south, east, west}
+   * @param {Number} ratio - Fraction of the height/width added on each side
+   * @returns {Object} Padded bounds (latitudes clamped to ±90)
+   */
+  padBounds(bounds, ratio) {
+    const latPadding = (bounds.north - bounds.south) * ratio;
+    const lonPadding = (bounds.east - bounds.west) * ratio;
+
+    return {
+      north: Math.min(bounds.north + latPadding, 90),
+      south: Math.max(bounds.south - latPadding, -90),
+      east: bounds.east + lonPadding,
+      west: bounds.west - lonPadding
+    };
+  },
+
+  /**
+   * Splits bounds at the date line into bounds within -180..180
+   * (map bounds go past ±180 when the view wraps around the world)
+   * @param {Object} bounds - Bounds {north, south, east, west}
+   * @returns {Array} One or two bounds {north, south, east, west}
+   */
+  splitBoundsAtDateLine(bounds) {
+    const { north, south } = bounds;
+
+    // Whole world visible
+    if (bounds.east - bounds.west >= 360) {
+      return [{ north, south, east: 180, west: -180 }];
+    }
+
+    // The view may be several world copies away from the original one
+    const west = ((bounds.west + 180) % 360 + 360) % 360 - 180;
+    const east = west + (bounds.east - bounds.west);
+
+    if (east <= 180) {
+      return [{ north, south, east, west }];
+    }
+
+    return [
+      { north, south, east: 180, west },
+      { north, south, east: east - 360, west: -180 }
+    ];
+  },
+
   /**
    * Calculates the center of a set of points
    * @param {Array} points - Array of {lat, lon} objects
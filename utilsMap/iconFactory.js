@@ -200,9 +200,12 @@ const iconFactory = {
    * Creates a clustered marker icon
    * @param {Number} count - Number of markers in cluster
    * @param {String} baseColor - Base cluster color
+   * @param {Object} options - Additional options
+   * @param {Array} options.breakdown - Parts of the cluster [{count, color}] drawn as a ring.
+   *   With a breakdown, baseColor is used as is instead of a color by count.
    * @returns {Object} Leaflet icon
    */
-  createClusterIcon(count, baseColor = '#ff5733') {
+  createClusterIcon(count, baseColor = '#ff5733', options = {}) {
     // Determine size based on marker count
     let size = 30;
     if (count > 100) {
@@ -213,20 +216,44 @@ const iconFactory = {
       size = 40;
     }
     
-    // Adjust color based on count
+    const breakdown = options.breakdown || null;
+
+    // Adjust color based on count (unless it comes from the cluster content)
     let color = baseColor;
-    if (count > 100) {
-      color = '#ff0000'; // Red for large clusters
-    } else if (count > 50) {
-      color = '#ff5733'; // Orange for medium clusters
-    } else if (count > 10) {
-      color = '#ffc300'; // Yellow for small clusters
+    if (!breakdown) {
+      if (count > 100) {
+        color = '#ff0000'; // Red for large clusters
+      } else if (count > 50) {
+        color = '#ff5733'; // Orange for medium clusters
+      } else if (count > 10) {
+        color = '#ffc300'; // Yellow for small clusters
+      }
+    }
+    
+    // Ring with one arc per part, proportional to its count
+    const ringWidth = 4;
+    const ringRadius = (size / 2) - ringWidth / 2;
+    const circumference = 2 * Math.PI * ringRadius;
+    let ring = '';
+    let offset = 0;
+    
+    if (breakdown) {
+      const total = breakdown.reduce((sum, part) => sum + part.count, 0) || 1;
+      
+      breakdown.forEach(part => {
+        const length = circumference * (part.count / total);
+        ring += `
+        <circle cx="${size/2}" cy="${size/2}" r="${ringRadius}" fill="none" stroke="${part.color}" stroke-width="${ringWidth}"
+                stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}"
+                transform="rotate(-90 ${size/2} ${size/2})"/>`;
+        offset += length;
+      });
     }
     
     // Create cluster SVG
     const svgIcon = `
       <svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg">
-        <circle cx="${size/2}" cy="${size/2}" r="${(size/2) - 2}" fill="${color}" fill-opacity="0.7" stroke="white" stroke-width="2"/>
+        <circle cx="${size/2}" cy="${size/2}" r="${(size/2) - (breakdown ? ringWidth : 2)}" fill="${color}" fill-opacity="0.7" stroke="white" stroke-width="2"/>${ring}
         <text x="${size/2}" y="${size/2}" font-size="${size/3}" text-anchor="middle" dominant-baseline="central" fill="white" font-weight="bold">
           ${count}
         </text>
@@ -0,0 +1,97 @@
+/**
+ * markerColors.js
+ * Pure color logic for markers: discrete state colors and value interpolation
+ */
+
+const markerColors = {
+  // Fallback state colors, used when no configured table has the state
+  defaultStateColors: {
+    0: '#5cb85c', // Normal - Green
+    1: '#f0ad4e', // Warning - Yellow
+    2: '#ff9900', // Alert - Orange
+    3: '#d9534f', // Critical - Red
+    4: '#d9534f', // Unreachable - Red
+    5: '#9900cc', // Special - Purple
+    6: '#0275d8', // Maintenance - Blue
+    7: '#777777', // Inactive - Gray
+    8: '#5bc0de', // Testing - Cyan
+    9: '#292b2c'  // Unknown - Black
+  },
+
+  // States from most to least severe, for the states above (the worst state colors a cluster):
+  // faults first (critical, unreachable, alert, warning), then states that need a look
+  // (unknown, special, testing), then expected ones (maintenance, inactive, normal)
+  stateSeverity: [3, 4, 2, 1, 9, 5, 8, 6, 7, 0],
+
+  /**
+   * Gets color for a specific state
+   * @param {Number} state - State value
+   * @param {Array} colorTables - State color tables checked in order (null entries are skipped)
+   * @returns {String} Color in hex format
+   */
+  getStateColor(state, colorTables = []) {
+    for (const table of colorTables) {
+      if (table && table[state] !== undefined) {
+        return table[state];
+      }
+    }
+
+    return this.defaultStateColors[state] || '#777777';
+  },
+
+  /**
+   * Gets color based on a continuous value and maximum
+   * @param {Number} value - Current value
+   * @param {Number} maxValue - Maximum value
+   * @param {String} mode - Interpolation mode ('default', 'reverse')
+   * @returns {String} Color in hex format
+   */
+  getValueColor(value, maxValue, mode = 'default') {
+    // Ensure valid values
+    const safeValue = isNaN(value) ? 0 : value;
+    const safeMax = isNaN(maxValue) || maxValue <= 0 ? 100 : maxValue;
+
+    // Calculate fraction (between 0 and 1)
+    let fraction = Math.max(0, Math.min(1, safeValue / safeMax));
+
+    // Invert if necessary
+    if (mode === 'reverse') {
+      fraction = 1 - fraction;
+    }
+
+    // Interpolation from red to green via yellow
+    let r, g, b;
+    if (fraction < 0.5) {
+      // From red to yellow
+      r = 255;
+      g = Math.round(255 * (fraction * 2));
+      b = 0;
+    } else {
+      // From yellow to green
+      r = Math.round(255 * (1 - (fraction - 0.5) * 2));
+      g = 255;
+      b = 0;
+    }
+
+    // Convert to hex format
+    return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+  },
+
+  /**
+   * Gets the fill color of a marker for a marker mode
+   * @param {Object} markerData - Marker data
+   * @param {String} mode - Marker mode ('num_state' uses state colors, others interpolate)
+   * @param {Number} modeMax - Maximum value of the mode
+   * @param {Array} colorTables - State color tables (see getStateColor)
+   * @returns {String} Color in hex format
+   */
+  getMarkerFillColor(markerData, mode, modeMax, colorTables = []) {
+    if (mode === 'num_state') {
+      return this.getStateColor(markerData.var, colorTables);
+    }
+
+    return this.getValueColor(markerData.var, modeMax || 100, mode);
+  }
+};
+
+export default markerColors;
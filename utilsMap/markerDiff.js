@@ -0,0 +1,210 @@
+/**
+ * markerDiff.js
+ * Pure marker data logic: derived fields, change detection, date line
+ * duplicates and diffing of marker lists and delta operations
+ */
+
+const markerDiff = {
+  // Markers beyond this longitude (either side) are duplicated across the date line
+  dateLineLongitude: 140,
+
+  /**
+   * Adds derived properties (id, icon number and color) to marker data
+   * @param {Object} marker - Marker data
+   * @returns {Object} The same marker data
+   */
+  prepareMarkerData(marker) {
+    marker.id = marker.id || `marker_${marker.i}`;
+    marker.iconNumber = marker.i % 16;
+    marker.iconColor = Math.floor(marker.i / 16);
+
+    return marker;
+  },
+
+  /**
+   * Checks if a marker has coordinates
+   * @param {Object} marker - Marker data
+   * @returns {Boolean} True if it can be placed on the map
+   */
+  hasCoordinates(marker) {
+    return marker.lat !== null && marker.lon !== null;
+  },
+
+  /**
+   * Checks if a marker has changed significantly
+   * @param {Object} oldMarker - Current marker data
+   * @param {Object} newMarker - New marker data
+   * @returns {Boolean} True if marker has changed
+   */
+  hasMarkerChanged(oldMarker, newMarker) {
+    // Check changes in critical properties
+    if (oldMarker.lat !== newMarker.lat || oldMarker.lon !== newMarker.lon) {
+      return true; // Location changed
+    }
+
+    if (oldMarker.name !== newMarker.name) {
+      return true; // Name changed
+    }
+
+    if (oldMarker.var !== newMarker.var) {
+      return true; // State/variant changed
+    }
+
+    if (oldMarker.i !== newMarker.i) {
+      return true; // Index/icon changed
+    }
+
+    // No significant change
+    return false;
+  },
+
+  /**
+   * Checks if a marker needs a duplicate on the other side of the date line
+   * @param {Object} marker - Marker data
+   * @returns {Boolean} True if it is close to the date line
+   */
+  crossesDateLine(marker) {
+    return marker.lon < -this.dateLineLongitude || marker.lon > this.dateLineLongitude;
+  },
+
+  /**
+   * Creates the date line duplicate of a marker
+   * @param {Object} marker - Marker data
+   * @returns {Object} Duplicate with id '<id>_dateline' and shifted longitude
+   */
+  createDateLineDuplicate(marker) {
+    const duplicatedMarker = { ...marker };
+
+    // Assign unique ID for the duplicate
+    duplicatedMarker.id = this.getDateLineId(marker.id);
+
+    // Adjust longitude to the other side of the map
+    if (marker.lon < 0) {
+      duplicatedMarker.lon = 180 + (180 + marker.lon);
+    } else {
+      duplicatedMarker.lon = -180 - (180 - marker.lon);
+    }
+
+    return duplicatedMarker;
+  },
+
+  /**
+   * Gets the id of the date line duplicate of a marker
+   * @param {String} id - Marker ID
+   * @returns {String} Duplicate ID
+   */
+  getDateLineId(id) {
+    return `${id}_dateline`;
+  },
+
+  /**
+   * Checks if an id belongs to a date line duplicate
+   * @param {String} id - Marker ID
+   * @returns {Boolean} True for duplicates
+   */
+  isDateLineDuplicate(id) {
+    return String(id).endsWith('_dateline');
+  },
+
+  /**
+   * Gets the id of the marker a date line duplicate was made from
+   * @param {String} id - Marker ID
+   * @returns {String} Original marker ID (the same id for other markers)
+   */
+  getOriginalId(id) {
+    return this.isDateLineDuplicate(id) ? String(id).slice(0, -'_dateline'.length) : id;
+  },
+
+  /**
+   * Compares the current markers with a new list
+   * @param {Array} currentMarkers - Current marker data
+   * @param {Array} newMarkerList - New marker data (ids are filled in)
+   * @returns {Object} Diff {added, changed, removed}: new markers (with date line
+   * duplicates), changed markers and the Set of ids no longer present
+   */
+  diffMarkers(currentMarkers, newMarkerList) {
+    // Create a map of current markers by ID
+    const currentMarkersMap = new Map();
+    currentMarkers.forEach(m => currentMarkersMap.set(m.id, m));
+
+    const added = [];
+    const changed = [];
+
+    // IDs of markers to remove
+    const removed = new Set([...currentMarkersMap.keys()]);
+
+    newMarkerList.forEach(newMarker => {
+      newMarker.id = newMarker.id || `marker_${newMarker.i}`;
+
+      // Ignore markers without coordinates
+      if (!this.hasCoordinates(newMarker)) {
+        return;
+      }
+
+      // Remove from list of markers to remove
+      removed.delete(newMarker.id);
+
+      if (currentMarkersMap.has(newMarker.id)) {
+        // If already exists, check if it has changed
+        if (this.hasMarkerChanged(currentMarkersMap.get(newMarker.id), newMarker)) {
+          changed.push(newMarker);
+        }
+      } else {
+        // It's a new marker
+        added.push(newMarker);
+
+        // If crosses date line, duplicate
+        if (this.crossesDateLine(newMarker)) {
+          added.push(this.createDateLineDuplicate(newMarker));
+        }
+      }
+    });
+
+    return { added, changed, removed };
+  },
+
+  /**
+   * Reduces delta operations to the final state of each touched marker
+   * @param {Map} currentById - Current marker data by ID
+   * @param {Array} ops - Operations: {op: 'upsert', id, marker}, {op: 'remove', id}, {op: 'patch', id, fields}
+   * @returns {Map} Final marker data by ID (null = removed)
+   */
+  reduceDelta(currentById, ops) {
+    const finalState = new Map();
+
+    for (const operation of ops) {
+      const id = operation.id || (operation.marker && operation.marker.id);
+      if (!id) {
+        console.warn('[MarkerDiff] Delta operation without id ignored', operation);
+        continue;
+      }
+
+      const current = finalState.has(id) ? finalState.get(id) : currentById.get(id);
+
+      switch (operation.op) {
+        case 'upsert':
+          finalState.set(id, this.prepareMarkerData({ ...operation.marker, id }));
+          break;
+
+        case 'patch':
+          if (!current) {
+            console.warn(`[MarkerDiff] Patch for unknown marker ignored: ${id}`);
+            break;
+          }
+          finalState.set(id, this.prepareMarkerData({ ...current, ...operation.fields, id }));
+          break;
+
+        case 'remove':
+          finalState.set(id, null);
+          break;
+
+        default:
+          console.warn(`[MarkerDiff] Unknown delta operation: ${operation.op}`);
+      }
+    }
+
+    return finalState;
+  }
+};
+
+export default markerDiff;
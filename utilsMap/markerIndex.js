@@ -0,0 +1,114 @@
+/**
+ * markerIndex.js
+ * Spatial index of marker positions (R-tree), to find the markers inside
+ * map bounds without scanning every marker
+ */
+
+import RBush from 'rbush';
+import geoUtils from './geoUtils.js';
+
+const markerIndex = {
+  /**
+   * Creates an empty index
+   * @returns {Object} New marker index
+   */
+  create() {
+    return Object.assign(Object.create(markerIndex), {
+      tree: new RBush(),
+      items: new Map() // Indexed item by marker ID
+    });
+  },
+
+  /**
+   * Creates the index item of a marker
+   * @param {Object} markerData - Marker data
+   * @returns {Object} Item {minX, minY, maxX, maxY, id}
+   */
+  toItem(markerData) {
+    const lon = geoUtils.normalizeCoordinates(markerData.lon);
+
+    return {
+      minX: lon,
+      minY: markerData.lat,
+      maxX: lon,
+      maxY: markerData.lat,
+      id: markerData.id
+    };
+  },
+
+  /**
+   * Replaces the index content (bulk loading is faster than single inserts)
+   * @param {Array} markerList - Marker data
+   */
+  load(markerList) {
+    this.clear();
+
+    const items = markerList.map(markerData => this.toItem(markerData));
+    items.forEach(item => this.items.set(item.id, item));
+    this.tree.load(items);
+  },
+
+  /**
+   * Adds a marker, or moves it if already indexed
+   * @param {Object} markerData - Marker data
+   */
+  insert(markerData) {
+    this.remove(markerData.id);
+
+    const item = this.toItem(markerData);
+    this.items.set(item.id, item);
+    this.tree.insert(item);
+  },
+
+  /**
+   * Removes a marker
+   * @param {String} markerId - Marker ID
+   */
+  remove(markerId) {
+    const item = this.items.get(markerId);
+
+    if (item) {
+      this.tree.remove(item);
+      this.items.delete(markerId);
+    }
+  },
+
+  /**
+   * Checks if a marker is indexed
+   * @param {String} markerId - Marker ID
+   * @returns {Boolean} True if indexed
+   */
+  has(markerId) {
+    return this.items.has(markerId);
+  },
+
+  /**
+   * Finds the markers inside bounds
+   * @param {Object} bounds - Bounds {north, south, east, west} (may cross the date line)
+   * @returns {Set} Marker IDs
+   */
+  search(bounds) {
+    const ids = new Set();
+
+    geoUtils.splitBoundsAtDateLine(bounds).forEach(part => {
+      this.tree.search({
+        minX: part.west,
+        minY: part.south,
+        maxX: part.east,
+        maxY: part.north
+      }).forEach(item => ids.add(item.id));
+    });
+
+    return ids;
+  },
+
+  /**
+   * Removes all markers
+   */
+  clear() {
+    this.tree.clear();
+    this.items.clear();
+  }
+};
+
+export default markerIndex;
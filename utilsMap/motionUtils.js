@@ -0,0 +1,78 @@
+/**
+ * motionUtils.js
+ * Pure movement logic for moving markers: interpolation between two
+ * positions and heading of a movement
+ */
+
+import geoUtils from './geoUtils.js';
+
+const motionUtils = {
+  // Movements shorter than this (degrees) have no meaningful heading
+  minHeadingDistance: 0.0001,
+
+  /**
+   * Gets the longitude difference going the short way around the date line
+   * @param {Number} fromLon - Start longitude
+   * @param {Number} toLon - End longitude
+   * @returns {Number} Difference between -180 and 180
+   */
+  getLonDelta(fromLon, toLon) {
+    let delta = toLon - fromLon;
+
+    if (delta > 180) {
+      delta -= 360;
+    } else if (delta < -180) {
+      delta += 360;
+    }
+
+    return delta;
+  },
+
+  /**
+   * Gets the heading (initial bearing) of a movement
+   * @param {Object} from - Start position {lat, lon}
+   * @param {Object} to - End position {lat, lon}
+   * @returns {Number|null} Degrees clockwise from north (0-360), or null if it didn't move
+   */
+  getHeading(from, to) {
+    const lonDelta = this.getLonDelta(from.lon, to.lon);
+
+    if (Math.abs(to.lat - from.lat) < this.minHeadingDistance && Math.abs(lonDelta) < this.minHeadingDistance) {
+      return null;
+    }
+
+    const lat1 = geoUtils.deg2rad(from.lat);
+    const lat2 = geoUtils.deg2rad(to.lat);
+    const dLon = geoUtils.deg2rad(lonDelta);
+
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+
+    return (geoUtils.rad2deg(Math.atan2(y, x)) + 360) % 360;
+  },
+
+  /**
+   * Gets a position between two others (linear, the short way around the date line)
+   * @param {Array} from - Start position [lat, lon]
+   * @param {Array} to - End position [lat, lon]
+   * @param {Number} t - Fraction of the way (0-1)
+   * @returns {Array} Position [lat, lon] with lon between -180 and 180
+   */
+  interpolate(from, to, t) {
+    const lat = from[0] + (to[0] - from[0]) * t;
+    const lon = from[1] + this.getLonDelta(from[1], to[1]) * t;
+
+    return [lat, geoUtils.normalizeCoordinates(lon)];
+  },
+
+  /**
+   * Eases a fraction in and out, so movements start and end smoothly
+   * @param {Number} t - Fraction (0-1)
+   * @returns {Number} Eased fraction (0-1)
+   */
+  easeInOut(t) {
+    return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+  }
+};
+
+export default motionUtils;
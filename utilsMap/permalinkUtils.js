@@ -0,0 +1,143 @@
+/**
+ * permalinkUtils.js
+ * Converts the map view state to and from router query parameters, so a
+ * view can be shared as a link
+ */
+
+const permalinkUtils = {
+  // Query parameter used for each state field
+  keys: {
+    lat: 'lat',
+    lon: 'lon',
+    zoom: 'z',
+    markerMode: 'mode',
+    tooltips: 'tips',
+    beams: 'beams',
+    sats: 'sats',
+    weatherType: 'wx',
+    selectedMarkerId: 'sel'
+  },
+
+  // Decimals kept for coordinates (about 1 m)
+  coordinatePrecision: 5,
+
+  /**
+   * Converts view state to query parameters
+   * @param {Object} state - View state {lat, lon, zoom, markerMode, tooltips, beams, sats, weatherType, selectedMarkerId}
+   * @returns {Object} Query parameters (values are strings; unset fields are left out)
+   */
+  serialize(state) {
+    const query = {};
+    const factor = Math.pow(10, this.coordinatePrecision);
+
+    if (this.isNumber(state.lat) && this.isNumber(state.lon)) {
+      query[this.keys.lat] = String(Math.round(state.lat * factor) / factor);
+      query[this.keys.lon] = String(Math.round(state.lon * factor) / factor);
+    }
+
+    if (this.isNumber(state.zoom)) {
+      query[this.keys.zoom] = String(state.zoom);
+    }
+
+    if (state.markerMode) {
+      query[this.keys.markerMode] = state.markerMode;
+    }
+
+    ['tooltips', 'beams', 'sats'].forEach(field => {
+      if (typeof state[field] === 'boolean') {
+        query[this.keys[field]] = state[field] ? '1' : '0';
+      }
+    });
+
+    if (state.weatherType) {
+      query[this.keys.weatherType] = state.weatherType;
+    }
+
+    if (state.selectedMarkerId) {
+      query[this.keys.selectedMarkerId] = String(state.selectedMarkerId);
+    }
+
+    return query;
+  },
+
+  /**
+   * Reads view state from query parameters, ignoring invalid values
+   * @param {Object} query - Query parameters (e.g. $route.query)
+   * @returns {Object} View state with only the fields found in the query
+   */
+  parse(query = {}) {
+    const state = {};
+    const lat = parseFloat(query[this.keys.lat]);
+    const lon = parseFloat(query[this.keys.lon]);
+    const zoom = parseInt(query[this.keys.zoom], 10);
+
+    if (this.isNumber(lat) && this.isNumber(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+      state.lat = lat;
+      state.lon = lon;
+    }
+
+    if (this.isNumber(zoom)) {
+      state.zoom = zoom;
+    }
+
+    if (typeof query[this.keys.markerMode] === 'string' && query[this.keys.markerMode]) {
+      state.markerMode = query[this.keys.markerMode];
+    }
+
+    ['tooltips', 'beams', 'sats'].forEach(field => {
+      const value = query[this.keys[field]];
+      if (value === '1' || value === '0') {
+        state[field] = value === '1';
+      }
+    });
+
+    if (typeof query[this.keys.weatherType] === 'string' && query[this.keys.weatherType]) {
+      state.weatherType = query[this.keys.weatherType];
+    }
+
+    if (typeof query[this.keys.selectedMarkerId] === 'string' && query[this.keys.selectedMarkerId]) {
+      state.selectedMarkerId = query[this.keys.selectedMarkerId];
+    }
+
+    return state;
+  },
+
+  /**
+   * Replaces the permalink parameters of a query, keeping unrelated parameters
+   * @param {Object} currentQuery - Current query parameters
+   * @param {Object} state - View state
+   * @returns {Object} New query parameters
+   */
+  mergeQuery(currentQuery, state) {
+    const query = { ...currentQuery };
+
+    Object.values(this.keys).forEach(key => {
+      delete query[key];
+    });
+
+    return { ...query, ...this.serialize(state) };
+  },
+
+  /**
+   * Checks if two queries have the same parameters
+   * @param {Object} a - Query parameters
+   * @param {Object} b - Query parameters
+   * @returns {Boolean} True if equal
+   */
+  isSameQuery(a, b) {
+    const keysA = Object.keys(a);
+
+    return keysA.length === Object.keys(b).length && keysA.every(key => String(a[key]) === String(b[key]));
+  },
+
+  /**
+   * Checks for a finite number
+   * @param {*} value - Value to check
+   * @returns {Boolean} True if finite number
+   */
+  isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+  }
+};
+
+export default permalinkUtils;
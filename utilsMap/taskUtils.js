@@ -0,0 +1,131 @@
+/**
+ * taskUtils.js
+ * Utilities for long-running work that can be interrupted by an abort signal
+ */
+
+const taskUtils = {
+  /**
+   * Checks if a signal was aborted
+   * @param {AbortSignal} signal - Abort signal (optional)
+   * @returns {Boolean} True if aborted
+   */
+  isAborted(signal) {
+    return !!signal && signal.aborted;
+  },
+
+  /**
+   * Creates the error thrown by aborted work
+   * @returns {Error} Error named 'AbortError'
+   */
+  createAbortError() {
+    const error = new Error('Event aborted');
+    error.name = 'AbortError';
+    return error;
+  },
+
+  /**
+   * Checks if an error comes from aborted work
+   * @param {Error} error - Error to check
+   * @returns {Boolean} True if it is an abort error
+   */
+  isAbortError(error) {
+    return !!error && error.name === 'AbortError';
+  },
+
+  /**
+   * Throws an abort error if the signal was aborted
+   * @param {AbortSignal} signal - Abort signal (optional)
+   */
+  throwIfAborted(signal) {
+    if (this.isAborted(signal)) {
+      throw this.createAbortError();
+    }
+  },
+
+  /**
+   * Lets the browser handle pending input, rendering and timers
+   * @returns {Promise} Promise that resolves on the next task
+   */
+  yieldToBrowser() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+  },
+
+  /**
+   * Waits for the next animation frame, so the browser can paint first.
+   * Falls back to the next task where frames don't run (hidden tabs, Node)
+   * @returns {Promise} Promise that resolves on the next frame
+   */
+  yieldToFrame() {
+    const hidden = typeof document !== 'undefined' && document.visibilityState === 'hidden';
+
+    if (typeof requestAnimationFrame === 'function' && !hidden) {
+      return new Promise(resolve => requestAnimationFrame(() => resolve()));
+    }
+
+    return this.yieldToBrowser();
+  },
+
+  /**
+   * Gets the current time for measuring work
+   * @returns {Number} Time in ms
+   */
+  now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  },
+
+  /**
+   * Creates the state of a frame-budgeted loop (see sliceCheckpoint)
+   * @param {Number} budget - ms of work before yielding to the next frame
+   * @returns {Object} Slice state {budget, start, slices}
+   */
+  createSlice(budget) {
+    return {
+      budget,
+      start: this.now(),   // Start of the current slice
+      slices: 1            // Slices run so far
+    };
+  },
+
+  /**
+   * Checkpoint for frame-budgeted loops: yields to the next frame once the
+   * slice's budget is spent and stops if aborted
+   * @param {AbortSignal} signal - Abort signal (optional)
+   * @param {Object} slice - Slice state (see createSlice)
+   * @param {Function} onYield - Called before yielding, e.g. to report progress (optional)
+   * @returns {Promise} Promise that resolves when the loop may continue
+   */
+  async sliceCheckpoint(signal, slice, onYield = null) {
+    if (this.now() - slice.start >= slice.budget) {
+      if (onYield) {
+        onYield();
+      }
+
+      await this.yieldToFrame();
+      slice.start = this.now();
+      slice.slices++;
+    }
+
+    this.throwIfAborted(signal);
+
+    return Promise.resolve();
+  },
+
+  /**
+   * Checkpoint for loops: yields every chunkSize items and stops if aborted
+   * @param {AbortSignal} signal - Abort signal (optional)
+   * @param {Number} index - Current loop index
+   * @param {Number} chunkSize - Items processed between yields
+   * @returns {Promise} Promise that resolves when the loop may continue
+   */
+  async checkpoint(signal, index, chunkSize) {
+    if (index > 0 && index % chunkSize === 0) {
+      await this.yieldToBrowser();
+    }
+
+    this.throwIfAborted(signal);
+
+    return Promise.resolve();
+  }
+};
+
+export default taskUtils;
@@ -0,0 +1,79 @@
+/**
+ * trailUtils.js
+ * Pure logic for movement trails: bounded position history and fading
+ * line segments split at the date line
+ */
+
+import geoUtils from './geoUtils.js';
+import motionUtils from './motionUtils.js';
+
+const trailUtils = {
+  /**
+   * Adds a position to a trail, dropping the oldest ones beyond the limit
+   * @param {Array} trail - Positions {lat, lon}, oldest first
+   * @param {Object} point - New position {lat, lon}
+   * @param {Number} maxLength - Positions kept
+   * @returns {Array} The same trail
+   */
+  addPoint(trail, point, maxLength) {
+    trail.push({ lat: point.lat, lon: geoUtils.normalizeCoordinates(point.lon) });
+
+    if (trail.length > maxLength) {
+      trail.splice(0, trail.length - maxLength);
+    }
+
+    return trail;
+  },
+
+  /**
+   * Gets the line between two positions, split in two where it crosses the
+   * date line (a line from 170 to -170 goes the short way, not around the world)
+   * @param {Object} from - Start position {lat, lon}
+   * @param {Object} to - End position {lat, lon}
+   * @returns {Array} One or two lines [[lat, lon], [lat, lon]]
+   */
+  splitAtDateLine(from, to) {
+    const fromLon = geoUtils.normalizeCoordinates(from.lon);
+    const toLon = geoUtils.normalizeCoordinates(to.lon);
+    const delta = motionUtils.getLonDelta(fromLon, toLon);
+
+    if (Math.abs(fromLon + delta) <= 180) {
+      return [[[from.lat, fromLon], [to.lat, toLon]]];
+    }
+
+    // Latitude where the line meets the date line
+    const edge = delta > 0 ? 180 : -180;
+    const t = (edge - fromLon) / delta;
+    const lat = from.lat + (to.lat - from.lat) * t;
+
+    return [
+      [[from.lat, fromLon], [lat, edge]],
+      [[lat, -edge], [to.lat, toLon]]
+    ];
+  },
+
+  /**
+   * Builds the segments of a fading trail: one line per step, the oldest
+   * the most transparent
+   * @param {Array} trail - Positions {lat, lon}, oldest first
+   * @param {Number} minOpacity - Opacity of the oldest step
+   * @param {Number} maxOpacity - Opacity of the newest step
+   * @returns {Array} Segments {latLngs, opacity}
+   */
+  buildSegments(trail, minOpacity, maxOpacity) {
+    const segments = [];
+    const steps = trail.length - 1;
+
+    for (let i = 0; i < steps; i++) {
+      const opacity = steps > 1 ? minOpacity + (maxOpacity - minOpacity) * (i / (steps - 1)) : maxOpacity;
+
+      this.splitAtDateLine(trail[i], trail[i + 1]).forEach(latLngs => {
+        segments.push({ latLngs, opacity });
+      });
+    }
+
+    return segments;
+  }
+};
+
+export default trailUtils;